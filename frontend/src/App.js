@@ -11,6 +11,8 @@ import GettingStarted from './pages/gettingStarted/GettingStarted';
 import WhatIsAnOperator from './pages/whatIsAnOperator/WhatIsAnOperator';
 import Contribute from './pages/contribute/Contribute';
 import About from './pages/about/About';
+import Diagnostics from './pages/diagnostics/Diagnostics';
+import OperatorQueryRedirect from './components/OperatorQueryRedirect';
 
 class App extends React.Component {
   constructor(props) {
@@ -25,11 +27,13 @@ class App extends React.Component {
   render() {
     return (
       <Switch>
-        <Route path="/operator" component={OperatorPage} />
+        <Route path="/operator/:packageName/:version?" component={OperatorPage} />
+        <Route path="/operator" component={OperatorQueryRedirect} />
         <Route path="/getting-started-with-operators" component={GettingStarted} />
         <Route path="/what-is-an-operator" component={WhatIsAnOperator} />
         <Route path="/contribute" component={Contribute} />
         <Route path="/about" component={About} />
+        <Route path="/admin/diagnostics" component={Diagnostics} />
         <Route path="/" component={OperatorHub} />
         <Redirect from="*" to="/" key="default-route" />
       </Switch>
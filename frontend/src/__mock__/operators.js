@@ -10,7 +10,7 @@ export const mockOperators = [
     provider: 'CoreOS, Inc',
     version: '0.6.1',
     versionForCompare: '0.6.1',
-    maturity: 'alpha',
+    stability: 'alpha',
     links: [
       { name: 'Blog', url: 'https://coreos.com/etcd' },
       { name: 'Documentation', url: 'https://coreos.com/operators/etcd/docs/latest/' },
@@ -30,7 +30,7 @@ export const mockOperators = [
     provider: 'Dynatrace LLC',
     version: '0.2.0',
     versionForCompare: '0.2.0',
-    maturity: 'stable',
+    stability: 'stable',
     links: [
       {
         name: 'Operator Deploy Guide',
@@ -53,7 +53,7 @@ export const mockOperators = [
     provider: 'MongoDB, Inc',
     version: '0.3.2',
     versionForCompare: '0.3.2',
-    maturity: 'stable',
+    stability: 'stable',
     links: [
       {
         name: 'Documentation',
@@ -74,7 +74,7 @@ export const mockOperators = [
     provider: 'CoreOS, Inc',
     version: '0.9.0',
     versionForCompare: '0.9.0',
-    maturity: 'alpha',
+    stability: 'alpha',
     links: [
       { name: 'Blog', url: 'https://coreos.com/etcd' },
       { name: 'Documentation', url: 'https://coreos.com/operators/etcd/docs/latest/' },
@@ -94,7 +94,7 @@ export const mockOperators = [
     provider: 'CoreOS, Inc',
     version: '0.9.2',
     versionForCompare: '0.9.2',
-    maturity: 'alpha',
+    stability: 'alpha',
     links: [
       { name: 'Blog', url: 'https://coreos.com/etcd' },
       { name: 'Documentation', url: 'https://coreos.com/operators/etcd/docs/latest/' },
@@ -112,7 +112,7 @@ export const mockOperators = [
     provider: 'Red Hat, Inc',
     version: '0.0.2',
     versionForCompare: '0.0.2',
-    maturity: 'alpha',
+    stability: 'alpha',
     description: 'Kubernetes Federation V2 namespace-scoped installation\n'
   },
   {
@@ -125,7 +125,7 @@ export const mockOperators = [
     provider: 'CoreOS, Inc',
     version: '0.14.0',
     versionForCompare: '0.14.0',
-    maturity: 'alpha',
+    stability: 'alpha',
     links: [
       { name: 'Prometheus', url: 'https://www.prometheus.io/' },
       { name: 'Documentation', url: 'https://coreos.com/operators/prometheus/docs/latest/' },
@@ -145,7 +145,7 @@ export const mockOperators = [
     provider: 'CoreOS, Inc',
     version: '0.15.0',
     versionForCompare: '0.15.0',
-    maturity: 'alpha',
+    stability: 'alpha',
     links: [
       { name: 'Prometheus', url: 'https://www.prometheus.io/' },
       { name: 'Documentation', url: 'https://coreos.com/operators/prometheus/docs/latest/' },
@@ -165,7 +165,7 @@ export const mockOperators = [
     provider: 'Red Hat',
     version: '0.22.2',
     versionForCompare: '0.22.2',
-    maturity: 'beta',
+    stability: 'beta',
     links: [
       { name: 'Prometheus', url: 'https://www.prometheus.io/' },
       { name: 'Documentation', url: 'https://coreos.com/operators/prometheus/docs/latest/' },
@@ -185,7 +185,7 @@ export const mockOperators = [
     provider: 'Red Hat, Inc.',
     version: '0.1.0',
     versionForCompare: '0.1.0',
-    maturity: 'alpha',
+    stability: 'alpha',
     links: [
       { name: 'Blog', url: 'http://automationbroker.io/' },
       { name: 'YouTube', url: 'https://www.youtube.com/channel/UC04eOMIMiV06_RSZPb4OOBw' },
@@ -204,7 +204,7 @@ export const mockOperators = [
     provider: 'Red Hat',
     version: '0.13.0',
     versionForCompare: '0.13.0',
-    maturity: 'alpha',
+    stability: 'alpha',
     maintainers: [{ email: 'sd-operator-metering@redhat.com', name: 'Red Hat' }],
     description:
       'Metering can generate reports based on historical usage data from a cluster, providing accountability for how resources have been used.'
@@ -218,7 +218,7 @@ export const mockOperators = [
     provider: 'Red Hat, Inc.',
     version: '0.1.0',
     versionForCompare: '0.1.0',
-    maturity: 'alpha',
+    stability: 'alpha',
     links: [
       {
         name: 'Documentation',
@@ -240,7 +240,7 @@ export const mockOperators = [
     provider: 'Couchbase',
     version: '1.0.0',
     versionForCompare: '1.0.0',
-    maturity: 'stable',
+    stability: 'stable',
     links: [
       { name: 'Couchbase', url: 'https://www.couchbase.com' },
       { name: 'Documentation', url: 'https://docs.couchbase.com/operator/1.0/overview.html' },
@@ -260,7 +260,7 @@ export const mockOperators = [
     provider: 'Couchbase',
     version: '1.1.0',
     versionForCompare: '1.1.0',
-    maturity: 'stable',
+    stability: 'stable',
     links: [
       { name: 'Couchbase', url: 'https://www.couchbase.com' },
       { name: 'Documentation', url: 'https://docs.couchbase.com/operator/1.1/overview.html' },
@@ -308,7 +308,7 @@ export const mockOperators = [
     provider: 'Red Hat, Inc.',
     version: '1.0.0',
     versionForCompare: '1.0.0',
-    maturity: 'stable',
+    stability: 'stable',
     links: [
       { name: 'Product Page', url: 'https://access.redhat.com/products/red-hat-amq' },
       {
@@ -332,7 +332,7 @@ export const mockOperators = [
     provider: 'Red Hat, Inc.',
     version: '0.1.0',
     versionForCompare: '0.1.0',
-    maturity: 'beta',
+    stability: 'beta',
     links: [
       { name: 'Product Page', url: 'https://access.redhat.com/products/red-hat-process-automation-manager' },
       {
@@ -0,0 +1,70 @@
+import * as React from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import { Button, Icon } from 'patternfly-react';
+
+// Fallback for browsers without the async clipboard API, or which deny it to the page
+const copyWithTextArea = text => {
+  const textArea = document.createElement('textarea');
+  textArea.value = text;
+  document.body.appendChild(textArea);
+  textArea.select();
+  const copied = document.execCommand('copy');
+  document.body.removeChild(textArea);
+
+  return copied ? Promise.resolve() : Promise.reject(new Error('Unable to copy to the clipboard'));
+};
+
+const copyToClipboard = text => {
+  if (navigator.clipboard) {
+    return navigator.clipboard.writeText(text).catch(() => copyWithTextArea(text));
+  }
+
+  return copyWithTextArea(text);
+};
+
+class CopyableCode extends React.Component {
+  state = { copied: false };
+
+  componentWillUnmount() {
+    clearTimeout(this.copiedTimer);
+  }
+
+  onCopy = () => {
+    copyToClipboard(this.props.code).then(
+      () => {
+        this.setState({ copied: true });
+        clearTimeout(this.copiedTimer);
+        this.copiedTimer = setTimeout(() => this.setState({ copied: false }), 2000);
+      },
+      // The code stays selectable when nothing could be copied
+      () => this.setState({ copied: false })
+    );
+  };
+
+  render() {
+    const { code, className } = this.props;
+    const { copied } = this.state;
+
+    return (
+      <div className={classNames('oh-copyable-code', className)}>
+        <Button className="oh-copyable-code__button" bsSize="small" onClick={this.onCopy}>
+          <Icon type="fa" name={copied ? 'check' : 'copy'} />
+          {copied ? ' Copied' : ' Copy'}
+        </Button>
+        <pre className="oh-copyable-code__code oh-code">{code}</pre>
+      </div>
+    );
+  }
+}
+
+CopyableCode.propTypes = {
+  code: PropTypes.string.isRequired,
+  className: PropTypes.string
+};
+
+CopyableCode.defaultProps = {
+  className: ''
+};
+
+export { CopyableCode };
@@ -0,0 +1,59 @@
+import * as React from 'react';
+import PropTypes from 'prop-types';
+import { Redirect } from 'react-router-dom';
+import * as _ from 'lodash-es';
+import queryString from 'query-string';
+
+import { fetchOperatorPath } from '../services/operatorsService';
+
+/**
+ * Operator pages used to be /operator?name="<JSON string>", the name can be a package or one of its CSVs
+ */
+class OperatorQueryRedirect extends React.Component {
+  state = {
+    path: null
+  };
+
+  componentDidMount() {
+    const name = _.get(queryString.parse(this.props.location.search), 'name');
+
+    if (!name) {
+      this.setState({ path: '/' });
+      return;
+    }
+
+    let operatorName = name;
+    try {
+      const parsedName = JSON.parse(name);
+      // Other JSON values, like null or an object, are names as they were written
+      if (_.isString(parsedName)) {
+        operatorName = parsedName;
+      }
+    } catch (e) {
+      // Unquoted names are used as they are
+    }
+
+    fetchOperatorPath(`${operatorName}`).then(path => {
+      if (!this.unmounted) {
+        this.setState({ path });
+      }
+    });
+  }
+
+  componentWillUnmount() {
+    this.unmounted = true;
+  }
+
+  render() {
+    const { path } = this.state;
+    return path ? <Redirect to={path} /> : null;
+  }
+}
+
+OperatorQueryRedirect.propTypes = {
+  location: PropTypes.shape({
+    search: PropTypes.string
+  }).isRequired
+};
+
+export default OperatorQueryRedirect;
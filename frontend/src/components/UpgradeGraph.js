@@ -0,0 +1,143 @@
+import * as React from 'react';
+import PropTypes from 'prop-types';
+import classNames from 'classnames';
+import * as _ from 'lodash-es';
+
+import { helpers } from '../common/helpers';
+
+const NODE_SPACING = 120;
+const NODE_RADIUS = 8;
+const MARGIN = 60;
+const ARC_HEIGHT = 25;
+const MAX_ARC_HEIGHT = 120;
+const LABEL_HEIGHT = 40;
+
+const edgeTypes = {
+  replaces: 'replaces',
+  skips: 'skips',
+  skipRange: 'skip range'
+};
+
+const getArcHeight = distance => Math.min(ARC_HEIGHT * distance, MAX_ARC_HEIGHT);
+
+/**
+ * Draws a package upgrade graph, versions ordered left to right. Replaces edges arc above the versions, skips and
+ * skip ranges arc below them.
+ */
+const UpgradeGraph = ({ graph, selectedVersion, onSelectVersion }) => {
+  const { nodes, edges } = graph;
+
+  if (!_.size(nodes)) {
+    return null;
+  }
+
+  const nodeIndexes = _.reduce(
+    nodes,
+    (indexes, node, index) => {
+      indexes[node.name] = index;
+      return indexes;
+    },
+    {}
+  );
+
+  const maxDistance = _.max(_.map(edges, edge => Math.abs(nodeIndexes[edge.to] - nodeIndexes[edge.from]))) || 1;
+  const arcSpace = getArcHeight(maxDistance) / 2 + LABEL_HEIGHT;
+  const width = MARGIN * 2 + NODE_SPACING * (nodes.length - 1);
+  const height = arcSpace * 2;
+  const getX = name => MARGIN + NODE_SPACING * nodeIndexes[name];
+
+  const renderEdge = edge => {
+    const x1 = getX(edge.from);
+    const x2 = getX(edge.to);
+    const above = edge.type === 'replaces';
+    // Quadratic curves peak at half of the control point's offset
+    const controlY =
+      arcSpace + (above ? -1 : 1) * getArcHeight(Math.abs(nodeIndexes[edge.to] - nodeIndexes[edge.from]));
+    const direction = x2 > x1 ? 1 : -1;
+
+    return (
+      <path
+        key={`${edge.from}-${edge.to}`}
+        className={`oh-upgrade-graph__edge oh-upgrade-graph__edge-${edge.type}`}
+        d={`M ${x1 + direction * NODE_RADIUS} ${arcSpace} Q ${(x1 + x2) / 2} ${controlY} ${x2 -
+          direction * NODE_RADIUS} ${arcSpace}`}
+        markerEnd={`url(#oh-upgrade-graph-arrow-${edge.type})`}
+      >
+        <title>{`${edge.from} → ${edge.to} (${edgeTypes[edge.type]})`}</title>
+      </path>
+    );
+  };
+
+  const renderNode = node => {
+    const x = getX(node.name);
+    const nodeClasses = classNames('oh-upgrade-graph__node', {
+      'oh-upgrade-graph__node-head': _.size(node.channelHeads),
+      'oh-upgrade-graph__node-selected': node.name === selectedVersion
+    });
+
+    return (
+      <g key={node.name} className={nodeClasses} onClick={() => onSelectVersion(node.name)}>
+        <title>{node.name}</title>
+        {_.size(node.channelHeads) > 0 && (
+          <text className="oh-upgrade-graph__channel-label" x={x} y={arcSpace - NODE_RADIUS - 8} textAnchor="middle">
+            {node.channelHeads.join(', ')}
+          </text>
+        )}
+        <circle cx={x} cy={arcSpace} r={NODE_RADIUS} />
+        <text className="oh-upgrade-graph__version-label" x={x} y={arcSpace + NODE_RADIUS + 16} textAnchor="middle">
+          {node.version}
+        </text>
+      </g>
+    );
+  };
+
+  return (
+    <div className="oh-upgrade-graph">
+      <svg width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+        <defs>
+          {_.map(_.keys(edgeTypes), type => (
+            <marker
+              key={type}
+              id={`oh-upgrade-graph-arrow-${type}`}
+              className={`oh-upgrade-graph__arrow-${type}`}
+              viewBox="0 0 10 10"
+              refX="10"
+              refY="5"
+              markerWidth="6"
+              markerHeight="6"
+              orient="auto"
+            >
+              <path d="M 0 0 L 10 5 L 0 10 z" />
+            </marker>
+          ))}
+        </defs>
+        {_.map(edges, renderEdge)}
+        {_.map(nodes, renderNode)}
+      </svg>
+      <div className="oh-upgrade-graph__legend">
+        {_.map(edgeTypes, (label, type) => (
+          <span key={type} className="oh-upgrade-graph__legend-item">
+            <span className={`oh-upgrade-graph__legend-line oh-upgrade-graph__legend-line-${type}`} />
+            {label}
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+UpgradeGraph.propTypes = {
+  graph: PropTypes.shape({
+    nodes: PropTypes.array,
+    edges: PropTypes.array
+  }).isRequired,
+  selectedVersion: PropTypes.string,
+  onSelectVersion: PropTypes.func
+};
+
+UpgradeGraph.defaultProps = {
+  selectedVersion: '',
+  onSelectVersion: helpers.noop
+};
+
+export { UpgradeGraph };
@@ -0,0 +1,196 @@
+import * as React from 'react';
+import PropTypes from 'prop-types';
+import * as _ from 'lodash-es';
+import connect from 'react-redux/es/connect/connect';
+import { Alert, Breadcrumb, EmptyState, Icon, Label } from 'patternfly-react';
+
+import { helpers } from '../../common/helpers';
+import { fetchDiagnostics, getOperatorPath } from '../../services/operatorsService';
+import { InternalLink } from '../../components/InternalLink';
+import Page from '../../components/Page';
+
+const severityIcons = {
+  error: { type: 'pf', name: 'error-circle-o' },
+  warning: { type: 'pf', name: 'warning-triangle-o' }
+};
+
+const statusLabels = {
+  broken: { bsStyle: 'danger', text: 'Broken' },
+  degraded: { bsStyle: 'warning', text: 'Degraded' }
+};
+
+/**
+ * Lists the problems found in the community operators catalog files, broken packages first
+ */
+class Diagnostics extends React.Component {
+  componentDidMount() {
+    this.props.fetchDiagnostics();
+  }
+
+  onHome = e => {
+    e.preventDefault();
+    this.props.history.push('/');
+  };
+
+  renderPendingMessage = () => (
+    <EmptyState className="blank-slate-content-pf">
+      <div className="loading-state-pf loading-state-pf-lg">
+        <div className="spinner spinner-lg" />
+        Loading diagnostics
+      </div>
+    </EmptyState>
+  );
+
+  renderError = () => (
+    <EmptyState className="blank-slate-content-pf">
+      <Alert type="error">
+        <span>Error retrieving the catalog diagnostics</span>
+      </Alert>
+    </EmptyState>
+  );
+
+  renderNoDiagnostics = () => (
+    <EmptyState className="blank-slate-content-pf">
+      <EmptyState.Title aria-level="2">No Problems Found</EmptyState.Title>
+      <EmptyState.Info className="text-secondary">
+        Every catalog file was loaded without errors or warnings.
+      </EmptyState.Info>
+    </EmptyState>
+  );
+
+  renderDiagnostic = (diagnostic, index) => {
+    const { rules } = this.props.diagnostics;
+
+    return (
+      <tr key={index}>
+        <td className="oh-diagnostics__severity">
+          <Icon {...severityIcons[diagnostic.severity]} title={diagnostic.severity} />
+        </td>
+        <td className="oh-diagnostics__file">{diagnostic.file}</td>
+        <td title={_.get(rules, [diagnostic.rule, 'description'])}>{diagnostic.rule}</td>
+        <td>{diagnostic.message}</td>
+      </tr>
+    );
+  };
+
+  renderPackage = packageSummary => {
+    const { diagnostics, history } = this.props;
+    const { packageName, status, errors, warnings } = packageSummary;
+    const packageDiagnostics = _.filter(diagnostics.diagnostics, { packageName });
+
+    return (
+      <div key={packageName} className="oh-diagnostics__package">
+        <h2 className="oh-diagnostics__package-title">
+          <InternalLink route={getOperatorPath(packageName)} history={history} text={packageName} />
+          <Label bsStyle={statusLabels[status].bsStyle}>{statusLabels[status].text}</Label>
+          <span className="oh-diagnostics__package-counts">
+            {errors} errors, {warnings} warnings
+          </span>
+        </h2>
+        <table className="table table-striped table-bordered">
+          <thead>
+            <tr>
+              <th />
+              <th>File</th>
+              <th>Rule</th>
+              <th>Message</th>
+            </tr>
+          </thead>
+          <tbody>{_.map(packageDiagnostics, this.renderDiagnostic)}</tbody>
+        </table>
+      </div>
+    );
+  };
+
+  renderView() {
+    const { diagnostics, diagnosticsPending, diagnosticsError } = this.props;
+
+    if (diagnosticsError) {
+      return this.renderError();
+    }
+
+    if (diagnosticsPending || _.isEmpty(diagnostics)) {
+      return this.renderPendingMessage();
+    }
+
+    if (!_.size(diagnostics.packages)) {
+      return this.renderNoDiagnostics();
+    }
+
+    return <div className="oh-diagnostics">{_.map(diagnostics.packages, this.renderPackage)}</div>;
+  }
+
+  render() {
+    const { diagnostics, diagnosticsPending, history } = this.props;
+
+    const headerContent = (
+      <div className="oh-diagnostics-header">
+        <h1 className="oh-hero">Catalog Diagnostics</h1>
+        {!_.isEmpty(diagnostics) && (
+          <p>
+            {diagnostics.errors} errors and {diagnostics.warnings} warnings in {_.size(diagnostics.packages)} packages
+          </p>
+        )}
+      </div>
+    );
+
+    const toolbarContent = (
+      <Breadcrumb>
+        <Breadcrumb.Item onClick={e => this.onHome(e)} href={window.location.origin}>
+          Home
+        </Breadcrumb.Item>
+        <Breadcrumb.Item active>Catalog Diagnostics</Breadcrumb.Item>
+      </Breadcrumb>
+    );
+
+    return (
+      <Page
+        className="oh-page-diagnostics"
+        headerContent={headerContent}
+        toolbarContent={toolbarContent}
+        history={history}
+        showFooter={!diagnosticsPending}
+      >
+        {this.renderView()}
+      </Page>
+    );
+  }
+}
+
+Diagnostics.propTypes = {
+  diagnostics: PropTypes.shape({
+    errors: PropTypes.number,
+    warnings: PropTypes.number,
+    rules: PropTypes.object,
+    packages: PropTypes.array,
+    diagnostics: PropTypes.array
+  }),
+  diagnosticsPending: PropTypes.bool,
+  diagnosticsError: PropTypes.bool,
+  fetchDiagnostics: PropTypes.func,
+  history: PropTypes.shape({
+    push: PropTypes.func.isRequired
+  }).isRequired
+};
+
+Diagnostics.defaultProps = {
+  diagnostics: {},
+  diagnosticsPending: false,
+  diagnosticsError: false,
+  fetchDiagnostics: helpers.noop
+};
+
+const mapDispatchToProps = dispatch => ({
+  fetchDiagnostics: () => dispatch(fetchDiagnostics())
+});
+
+const mapStateToProps = state => ({
+  diagnostics: state.operatorsState.diagnostics,
+  diagnosticsPending: state.operatorsState.diagnosticsPending,
+  diagnosticsError: state.operatorsState.diagnosticsError
+});
+
+export default connect(
+  mapStateToProps,
+  mapDispatchToProps
+)(Diagnostics);
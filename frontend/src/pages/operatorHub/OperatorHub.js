@@ -7,7 +7,7 @@ import queryString from 'query-string';
 import { Alert, DropdownButton, EmptyState, Icon, MenuItem } from 'patternfly-react';
 import { CatalogTile, FilterSidePanel } from 'patternfly-react-extensions';
 
-import { fetchOperators } from '../../services/operatorsService';
+import { fetchOperators, getIconURL, getOperatorPath, searchOperators } from '../../services/operatorsService';
 import { helpers } from '../../common/helpers';
 
 import Page from '../../components/Page';
@@ -18,15 +18,23 @@ const KEYWORD_URL_PARAM = 'keyword';
 const VIEW_TYPE_URL_PARAM = 'view';
 const SORT_TYPE_URL_PARAM = 'sort';
 
+// Tile icons are at most 80px wide, twice that for high density displays
+const TILE_ICON_SIZE = 160;
+
 /**
  * Filter property white list
  */
-const operatorHubFilterGroups = ['provider', 'maturity'];
+const operatorHubFilterGroups = ['categories', 'provider', 'capabilityLevel', 'stability'];
 
 const operatorHubFilterMap = {
-  maturity: 'Operator Maturity'
+  categories: 'Category',
+  capabilityLevel: 'Capability Level',
+  stability: 'Stability'
 };
 
+// Categories hold a list of values, other filter fields a single value
+const getItemValues = (item, field) => _.castArray(item[field]);
+
 const ignoredProviderTails = [', Inc.', ', Inc', ' Inc.', ' Inc', ', LLC', ' LLC'];
 
 const getProviderValue = value => {
@@ -50,8 +58,8 @@ const providerSort = provider => {
   return value;
 };
 
-const maturitySort = maturity => {
-  const value = maturity.value || maturity;
+const capabilityLevelSort = capabilityLevel => {
+  const value = capabilityLevel.value || capabilityLevel;
 
   switch (value) {
     case 'Basic Install':
@@ -69,6 +77,13 @@ const maturitySort = maturity => {
   }
 };
 
+const stabilities = ['planning', 'pre-alpha', 'alpha', 'beta', 'stable', 'mature', 'inactive', 'deprecated'];
+
+const stabilitySort = stability => {
+  const index = stabilities.indexOf(stability.value || stability);
+  return index === -1 ? stabilities.length : index;
+};
+
 const filterByGroup = (items, filters) =>
   // Filter items by each filter group
   _.reduce(
@@ -86,7 +101,7 @@ const filterByGroup = (items, filters) =>
           []
         );
 
-        filtered[key] = _.filter(items, item => values.includes(item[key]));
+        filtered[key] = _.filter(items, item => _.some(getItemValues(item, key), value => values.includes(value)));
       }
 
       return filtered;
@@ -109,23 +124,30 @@ const keywordCompare = (filterString, item) => {
     _.get(item, 'displayName', '')
       .toLowerCase()
       .includes(filterString) ||
-    _.get(item, 'categories', '')
-      .toLowerCase()
-      .includes(filterString)
+    _.some(_.get(item, 'categories'), category => category.toLowerCase().includes(filterString))
   );
 };
 
-const filterByKeyword = (items, keyword) => {
+/**
+ * Uses the server's full text search results once they are available for the keyword, matching names and categories
+ * until then or when the search fails
+ */
+const filterByKeyword = (items, keyword, searchResults) => {
   if (!keyword) {
     return items;
   }
 
+  if (searchResults && searchResults.keyword === keyword) {
+    const matches = _.map(searchResults.results, 'packageName');
+    return _.filter(items, item => matches.includes(item.packageName));
+  }
+
   const filterString = keyword.toLowerCase();
   return _.filter(items, item => keywordCompare(filterString, item));
 };
 
-const filterItems = (items, keyword, filters) => {
-  const filteredByKeyword = filterByKeyword(items, keyword);
+const filterItems = (items, keyword, filters, searchResults) => {
+  const filteredByKeyword = filterByKeyword(items, keyword, searchResults);
 
   if (_.isEmpty(filters)) {
     return filteredByKeyword;
@@ -149,22 +171,24 @@ const determineAvailableFilters = (initialFilters, items, filterGroups) => {
   _.each(filterGroups, field => {
     const values = [];
     _.each(items, item => {
-      let value = item[field];
-      let synonyms;
-      if (field === 'provider') {
-        value = getProviderValue(value);
-        synonyms = _.map(ignoredProviderTails, tail => `${value}${tail}`);
-      }
-      if (value !== undefined) {
-        if (!_.some(values, { value })) {
-          values.push({
-            label: value || 'N/A',
-            synonyms,
-            value,
-            active: false
-          });
+      _.each(getItemValues(item, field), itemValue => {
+        let value = itemValue;
+        let synonyms;
+        if (field === 'provider') {
+          value = getProviderValue(value);
+          synonyms = _.map(ignoredProviderTails, tail => `${value}${tail}`);
         }
-      }
+        if (value !== undefined) {
+          if (!_.some(values, { value })) {
+            values.push({
+              label: value || 'N/A',
+              synonyms,
+              value,
+              active: false
+            });
+          }
+        }
+      });
     });
 
     _.forEach(values, nextValue => {
@@ -202,7 +226,9 @@ const getFilterGroupCounts = (items, filters) => {
         ..._.get(filters, [filterGroup, key, 'synonyms'], [])
       ];
 
-      const matchedItems = _.filter(items, item => filterValues.includes(item[filterGroup]));
+      const matchedItems = _.filter(items, item =>
+        _.some(getItemValues(item, filterGroup), value => filterValues.includes(value))
+      );
 
       _.set(newFilterCounts, [filterGroup, key], _.size(matchedItems));
     });
@@ -274,6 +300,10 @@ class OperatorHub extends React.Component {
 
     this.updateURL(updatedKeyword, updatedFilters, updatedViewType, updatedSortType);
     this.updateFilteredItems();
+
+    if (updatedKeyword) {
+      this.props.searchOperators(updatedKeyword);
+    }
   }
 
   static getDerivedStateFromProps(props, state) {
@@ -284,13 +314,21 @@ class OperatorHub extends React.Component {
   }
 
   componentDidUpdate(prevProps) {
-    const { keywordSearch, operators, activeFilters, sortType, viewType } = this.props;
+    const { keywordSearch, operators, activeFilters, sortType, viewType, searchResults } = this.props;
 
     if (!_.isEqual(activeFilters, prevProps.activeFilters) || keywordSearch !== prevProps.keywordSearch) {
       this.updateFilteredItems();
       this.updateURL(keywordSearch, activeFilters, viewType, sortType);
     }
 
+    if (keywordSearch && keywordSearch !== prevProps.keywordSearch) {
+      this.debouncedSearch(keywordSearch);
+    }
+
+    if (!_.isEqual(searchResults, prevProps.searchResults)) {
+      this.updateFilteredItems();
+    }
+
     if (!_.isEqual(operators, prevProps.operators)) {
       this.updateCurrentFilters(operators);
       this.updateFilteredItems();
@@ -330,11 +368,13 @@ class OperatorHub extends React.Component {
     storeActiveFilters(_.cloneDeep(newActiveFilters));
   };
 
+  debouncedSearch = helpers.debounce(keyword => this.props.searchOperators(keyword), 300);
+
   updateFilteredItems = () => {
-    const { operators, activeFilters, keywordSearch } = this.props;
+    const { operators, activeFilters, keywordSearch, searchResults } = this.props;
 
     const filterCounts = getFilterGroupCounts(operators, activeFilters);
-    const filteredItems = this.sortItems(filterItems(operators, keywordSearch, activeFilters));
+    const filteredItems = this.sortItems(filterItems(operators, keywordSearch, activeFilters, searchResults));
 
     this.setState({ filteredItems, filterCounts });
   };
@@ -418,8 +458,10 @@ class OperatorHub extends React.Component {
 
     if (groupName === 'provider') {
       sortBy = providerSort;
-    } else if (groupName === 'maturity') {
-      sortBy = maturitySort;
+    } else if (groupName === 'capabilityLevel') {
+      sortBy = capabilityLevelSort;
+    } else if (groupName === 'stability') {
+      sortBy = stabilitySort;
     }
     return _.sortBy(_.keys(activeFilters), sortBy);
   };
@@ -446,7 +488,7 @@ class OperatorHub extends React.Component {
 
   openDetails = (event, operator) => {
     event.preventDefault();
-    this.props.history.push(`/operator?name=${JSON.stringify(operator.name)}`);
+    this.props.history.push(getOperatorPath(operator.packageName));
   };
 
   updateViewType = viewType => {
@@ -564,23 +606,49 @@ class OperatorHub extends React.Component {
     );
   }
 
+  getSearchSnippet = item => {
+    const { keywordSearch, searchResults } = this.props;
+
+    if (!keywordSearch || searchResults.keyword !== keywordSearch) {
+      return null;
+    }
+
+    const result = _.find(searchResults.results, { packageName: item.packageName });
+    if (!_.size(_.get(result, 'snippet'))) {
+      return null;
+    }
+
+    return (
+      <span className="oh-search-snippet">
+        {_.map(result.snippet, (segment, index) =>
+          segment.highlight ? (
+            <mark key={index}>{segment.text}</mark>
+          ) : (
+            <React.Fragment key={index}>{segment.text}</React.Fragment>
+          )
+        )}
+      </span>
+    );
+  };
+
   renderCard = item => {
     if (!item) {
       return null;
     }
 
-    const { name, displayName, imgUrl, provider, description } = item;
+    const { name, packageName, displayName, imgUrl, provider, description } = item;
     const vendor = provider ? `provided by ${provider}` : null;
+    const snippet = this.getSearchSnippet(item);
 
     return (
       <CatalogTile
         id={name}
         key={name}
         title={displayName}
-        iconImg={imgUrl || operatorImg}
+        iconImg={getIconURL(imgUrl, TILE_ICON_SIZE) || operatorImg}
         vendor={vendor}
-        description={description}
-        href={`${window.location.origin}/operator/${name}`}
+        description={snippet || description}
+        href={`${window.location.origin}${getOperatorPath(packageName)}`}
         onClick={e => this.openDetails(e, item)}
       />
     );
@@ -607,18 +675,19 @@ class OperatorHub extends React.Component {
 
     const { name, displayName, imgUrl, provider, description } = item;
     const vendor = provider ? `provided by ${provider}` : null;
+    const snippet = this.getSearchSnippet(item);
 
     return (
       <a id={name} key={name} className="oh-list-view__item" href="#" onClick={e => this.openDetails(e, item)}>
         <div className="catalog-tile-pf-header">
-          <img className="catalog-tile-pf-icon" src={imgUrl || operatorImg} alt="" />
+          <img className="catalog-tile-pf-icon" src={getIconURL(imgUrl, TILE_ICON_SIZE) || operatorImg} alt="" />
           <span>
             <div className="catalog-tile-pf-title">{displayName}</div>
             <div className="catalog-tile-pf-subtitle">{vendor}</div>
           </span>
         </div>
         <div className="catalog-tile-pf-description">
-          <span>{description}</span>
+          <span>{snippet || description}</span>
         </div>
       </a>
     );
@@ -757,6 +826,11 @@ OperatorHub.propTypes = {
     replace: PropTypes.func.isRequired
   }).isRequired,
   fetchOperators: PropTypes.func,
+  searchOperators: PropTypes.func,
+  searchResults: PropTypes.shape({
+    keyword: PropTypes.string,
+    results: PropTypes.array
+  }),
   urlSearchString: PropTypes.string,
   viewType: PropTypes.string,
   activeFilters: PropTypes.object,
@@ -774,6 +848,8 @@ OperatorHub.defaultProps = {
   errorMessage: '',
   pending: false,
   fetchOperators: helpers.noop,
+  searchOperators: helpers.noop,
+  searchResults: {},
   activeFilters: [],
   keywordSearch: '',
   urlSearchString: '',
@@ -787,6 +863,8 @@ OperatorHub.defaultProps = {
 
 const mapDispatchToProps = dispatch => ({
   fetchOperators: () => dispatch(fetchOperators()),
+  // The keyword filters the whole hub, every match is needed
+  searchOperators: keyword => dispatch(searchOperators(keyword, 'all')),
   storeActiveFilters: activeFilters =>
     dispatch({
       type: reduxConstants.SET_ACTIVE_FILTERS,
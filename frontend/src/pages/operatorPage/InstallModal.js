@@ -6,45 +6,69 @@ import { Modal } from 'patternfly-react';
 import { CatalogItemHeader } from 'patternfly-react-extensions';
 
 import { helpers } from '../../common/helpers';
+import { getIconURL, getInstallManifestURL } from '../../services/operatorsService';
+import { installInstructions } from '../../utils/documentationLinks';
+import { CopyableCode } from '../../components/CopyableCode';
+import { ExternalLink } from '../../components/ExternalLink';
 import * as operatorImg from '../../imgs/operator.svg';
 
-const InstallModal = ({ show, operator, onClose }) => (
-  <Modal show={show} onHide={onClose} bsSize="lg" className="oh-install-modal right-side-modal-pf">
-    {_.get(operator, 'displayName') && (
-      <React.Fragment>
-        <Modal.Header>
-          <Modal.CloseButton onClick={onClose} />
-          <CatalogItemHeader
-            iconImg={_.get(operator, 'imgUrl') || operatorImg}
-            title={_.get(operator, 'displayName')}
-            vendor={`${_.get(operator, 'version')} provided by ${_.get(operator, 'provider')}`}
-          />
-        </Modal.Header>
-        <Modal.Body>
-          <p>
-            We need to have a visual popup upon clicking <i>install</i> that shows instructions to install on OCP and
-            Kube (which in turns asks to install OLM/Marketplace) and then a single line command like:
-          </p>
-          <p>
-            <span className="oh-code oh-indent">
-              {`kubectl create -f https://operatorhub.io/#/operators/${_.get(operator, 'name')}/install.yaml`}
-            </span>
-          </p>
-        </Modal.Body>
-      </React.Fragment>
-    )}
-  </Modal>
-);
+const InstallModal = ({ show, operator, channel, onClose }) => {
+  const packageName = _.get(operator, 'packageName');
+  // The namespace the server defaults the install manifest to
+  const namespace = _.get(operator, 'installNamespace');
+
+  return (
+    <Modal show={show} onHide={onClose} bsSize="lg" className="oh-install-modal right-side-modal-pf">
+      {_.get(operator, 'displayName') && (
+        <React.Fragment>
+          <Modal.Header>
+            <Modal.CloseButton onClick={onClose} />
+            <CatalogItemHeader
+              iconImg={getIconURL(_.get(operator, 'imgUrl'), 160) || operatorImg}
+              title={_.get(operator, 'displayName')}
+              vendor={`${_.get(operator, 'version')} provided by ${_.get(operator, 'provider')}`}
+            />
+          </Modal.Header>
+          <Modal.Body>
+            <ol className="oh-install-modal__steps">
+              <li>
+                Install the Operator Lifecycle Manager (OLM), a tool to help manage the operators running on your
+                cluster, if it is not installed yet.
+                <ExternalLink block href={installInstructions} text="OLM install instructions" />
+              </li>
+              <li>
+                Install the operator by running the following command:
+                <CopyableCode code={`kubectl create -f ${getInstallManifestURL(packageName, channel)}`} />
+                <p>
+                  The operator will be installed in the <span className="oh-code">{namespace}</span> namespace and will
+                  be usable from this namespace only. It is subscribed to the
+                  {channel ? <span className="oh-code">{` ${channel} `}</span> : ' default '}
+                  channel and installs the latest version published to it.
+                </p>
+              </li>
+              <li>
+                Watch the operator come up using the following command:
+                <CopyableCode code={`kubectl get csv -n ${namespace}`} />
+              </li>
+            </ol>
+          </Modal.Body>
+        </React.Fragment>
+      )}
+    </Modal>
+  );
+};
 
 InstallModal.propTypes = {
   show: PropTypes.bool,
   operator: PropTypes.object,
+  channel: PropTypes.string,
   onClose: PropTypes.func
 };
 
 InstallModal.defaultProps = {
   show: false,
   operator: null,
+  channel: undefined,
   onClose: helpers.noop
 };
 
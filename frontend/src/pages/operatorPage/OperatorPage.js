@@ -5,21 +5,37 @@ import connect from 'react-redux/es/connect/connect';
 import {
   Alert,
   Breadcrumb,
+  Button,
+  Card,
+  CardBody,
+  CardGrid,
+  CardTitle,
   DropdownButton,
   EmptyState,
   Grid,
   Icon,
   MenuItem,
   OverlayTrigger,
-  Popover
+  Popover,
+  Tab,
+  Tabs
 } from 'patternfly-react';
 import { PropertiesSidePanel, PropertyItem } from 'patternfly-react-extensions';
-import queryString from 'query-string';
+import { safeDump } from 'js-yaml';
 
 import { helpers } from '../../common/helpers';
-import { fetchOperator } from '../../services/operatorsService';
+import {
+  fetchOperator,
+  fetchUpgradeGraph,
+  getIconURL,
+  getOperatorPath,
+  searchOperators,
+  watchPreview
+} from '../../services/operatorsService';
 import { MarkdownView } from '../../components/MarkdownView';
 import { ExternalLink } from '../../components/ExternalLink';
+import { CopyableCode } from '../../components/CopyableCode';
+import { UpgradeGraph } from '../../components/UpgradeGraph';
 import { maturityModelDiagram } from '../../utils/documentationLinks';
 import Page from '../../components/Page';
 import InstallModal from './InstallModal';
@@ -47,7 +63,8 @@ class OperatorPage extends React.Component {
     operator: {},
     installShown: false,
     refreshed: false,
-    keywordSearch: ''
+    keywordSearch: '',
+    activeView: 'overview'
   };
 
   componentDidMount() {
@@ -57,6 +74,7 @@ class OperatorPage extends React.Component {
       this.setCurrentOperatorVersion(operator);
     }
     this.refresh();
+    this.stopPreviewWatch = watchPreview(this.onPreviewReload);
   }
 
   static getDerivedStateFromProps(props, state) {
@@ -67,35 +85,71 @@ class OperatorPage extends React.Component {
   }
 
   componentDidUpdate(prevProps) {
-    const { operator } = this.props;
+    const { operator, match, operatorNotFound } = this.props;
+
+    if (operatorNotFound && !prevProps.operatorNotFound) {
+      this.props.searchOperators(this.getNotFoundKeyword());
+    }
+
+    if (match.params.packageName !== prevProps.match.params.packageName) {
+      this.refresh();
+      return;
+    }
+
+    if (match.params.version !== prevProps.match.params.version) {
+      this.setCurrentOperatorVersion(operator);
+    }
 
     if (operator && !_.isEqual(operator, prevProps.operator)) {
       this.setCurrentOperatorVersion(operator);
+
+      if (this.state.activeView === 'versions') {
+        this.props.fetchUpgradeGraph(operator.packageName);
+      }
     }
   }
 
+  componentWillUnmount() {
+    this.stopPreviewWatch();
+  }
+
+  // Authors previewing their package see their changes without reloading the page
+  onPreviewReload = packageNames => {
+    const { packageName } = this.props.match.params;
+
+    if (packageNames.includes(packageName)) {
+      this.props.fetchOperator(packageName, true);
+    }
+  };
+
   refresh() {
-    const searchObj = queryString.parse(this.props.location.search || this.props.urlSearchString);
-    const operatorString = _.get(searchObj, 'name');
+    const { packageName } = this.props.match.params;
 
-    if (!operatorString) {
+    if (!packageName) {
       this.props.history.push('/');
       return;
     }
 
-    const operatorId = JSON.parse(operatorString);
-    this.props.fetchOperator(operatorId);
+    this.props.fetchOperator(packageName);
   }
 
   setCurrentOperatorVersion = operator => {
-    const searchObj = queryString.parse(this.props.location.search || this.props.urlSearchString);
-    const operatorString = _.get(searchObj, 'name');
-    const name = JSON.parse(operatorString);
+    const { version } = this.props.match.params;
 
-    const versionOperator = _.size(operator.versions) > 1 ? _.find(operator.versions, { name }) : operator;
+    // Without a version in the URL the latest version of the package is shown
+    const versionOperator =
+      (version && _.find(operator.versions, op => op.version === version || op.name === version)) || operator;
     this.setState({ operator: versionOperator });
   };
 
+  // Package names separate words with dashes, search for the words
+  getNotFoundKeyword = () => _.trim(_.get(this.props.match, 'params.packageName', '').replace(/[-_.]+/g, ' '));
+
+  openSuggestion = (e, packageName) => {
+    e.preventDefault();
+    this.props.history.push(getOperatorPath(packageName));
+  };
+
   onHome = e => {
     e.preventDefault();
     this.props.history.push('/');
@@ -118,7 +172,16 @@ class OperatorPage extends React.Component {
 
   updateVersion = operator => {
     this.setState({ operator });
-    this.props.history.push(`/operator?name=${JSON.stringify(operator.name)}`);
+    this.props.history.push(getOperatorPath(operator.packageName, operator.version));
+  };
+
+  onSelectView = activeView => {
+    const { operator, upgradeGraph } = this.props;
+
+    this.setState({ activeView });
+    if (activeView === 'versions' && upgradeGraph.packageName !== operator.packageName) {
+      this.props.fetchUpgradeGraph(operator.packageName);
+    }
   };
 
   showInstall = e => {
@@ -151,15 +214,59 @@ class OperatorPage extends React.Component {
     );
   };
 
+  renderNotFound = () => {
+    const { match, searchResults } = this.props;
+    const keyword = this.getNotFoundKeyword();
+    const suggestions = searchResults.keyword === keyword ? _.take(searchResults.results, 5) : [];
+
+    return (
+      <EmptyState className="blank-slate-content-pf">
+        <EmptyState.Title aria-level="2">Operator Not Found</EmptyState.Title>
+        <EmptyState.Info className="text-secondary">
+          There is no operator named {match.params.packageName} on OperatorHub.io.
+        </EmptyState.Info>
+        {_.size(suggestions) > 0 && (
+          <EmptyState.Help>
+            <span>Did you mean </span>
+            {_.map(suggestions, (suggestion, index) => (
+              <React.Fragment key={suggestion.packageName}>
+                {index > 0 && ', '}
+                <a
+                  href={`${window.location.origin}${getOperatorPath(suggestion.packageName)}`}
+                  onClick={e => this.openSuggestion(e, suggestion.packageName)}
+                >
+                  {suggestion.displayName}
+                </a>
+              </React.Fragment>
+            ))}
+            ?
+          </EmptyState.Help>
+        )}
+        <EmptyState.Action>
+          <Button bsStyle="primary" onClick={() => this.searchCallback(keyword)}>
+            Search the Hub
+          </Button>
+        </EmptyState.Action>
+      </EmptyState>
+    );
+  };
+
   renderPropertyItem = (label, value) =>
     value ? <PropertyItem label={label} value={value} /> : <PropertyItem label={label} value={notAvailable} />;
 
+  getVersionTitle = (version, versions) =>
+    _.get(versions, '[0].version') === version ? `${version} (latest)` : version;
+
   renderVersion = (version, versions) =>
     _.size(versions) > 1 ? (
-      <DropdownButton className="oh-operator-page__side-panel__version-dropdown" title={version} id="version-dropdown">
+      <DropdownButton
+        className="oh-operator-page__side-panel__version-dropdown"
+        title={this.getVersionTitle(version, versions)}
+        id="version-dropdown"
+      >
         {_.map(versions, (nextVersion, index) => (
           <MenuItem key={nextVersion.version} eventKey={index} onClick={() => this.updateVersion(nextVersion)}>
-            {nextVersion.version}
+            {this.getVersionTitle(nextVersion.version, versions)}
           </MenuItem>
         ))}
       </DropdownButton>
@@ -167,6 +274,41 @@ class OperatorPage extends React.Component {
       version
     );
 
+  getCurrentChannel = (operator, channels) => _.find(channels, { currentCSV: _.get(operator, 'name') });
+
+  renderChannel = (operator, versions, channels) => {
+    if (!_.size(channels)) {
+      return null;
+    }
+
+    const getChannelTitle = channel => {
+      const channelVersion = _.find(versions, { name: channel.currentCSV }) || operator;
+      const defaultLabel = channel.isDefault ? ' (default)' : '';
+      return `${channel.name}${defaultLabel}: ${_.get(channelVersion, 'version', channel.currentCSV)}`;
+    };
+
+    const currentChannel = this.getCurrentChannel(operator, channels);
+
+    return (
+      <DropdownButton
+        className="oh-operator-page__side-panel__version-dropdown"
+        title={currentChannel ? currentChannel.name : 'Select a channel'}
+        id="channel-dropdown"
+      >
+        {_.map(channels, (channel, index) => (
+          <MenuItem
+            key={channel.name}
+            eventKey={index}
+            active={channel === currentChannel}
+            onClick={() => this.updateVersion(_.find(versions, { name: channel.currentCSV }) || operator)}
+          >
+            {getChannelTitle(channel)}
+          </MenuItem>
+        ))}
+      </DropdownButton>
+    );
+  };
+
   renderLinks = links =>
     _.size(links) && (
       <React.Fragment>
@@ -188,21 +330,76 @@ class OperatorPage extends React.Component {
       </React.Fragment>
     );
 
-  renderMaturity = maturity => (
+  renderCapabilityLevel = capabilityLevel => (
     <span>
-      <span className="sr-only">{maturity}</span>
-      <img className="oh-operator-page__side-panel__image" src={maturityImages[maturity]} alt={maturity} />
+      <span className="sr-only">{capabilityLevel}</span>
+      <img
+        className="oh-operator-page__side-panel__image"
+        src={maturityImages[capabilityLevel]}
+        alt={capabilityLevel}
+      />
     </span>
   );
 
+  renderDescriptors = (title, descriptors) =>
+    _.size(descriptors) > 0 && (
+      <div className="oh-operator-page__crd-descriptors">
+        <div className="oh-tiny">{title}</div>
+        <dl>
+          {_.map(descriptors, descriptor => (
+            <React.Fragment key={descriptor.path}>
+              <dt>{descriptor.displayName || descriptor.path}</dt>
+              <dd>{descriptor.description}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      </div>
+    );
+
+  renderCustomResources = customResourceDefinitions =>
+    _.size(customResourceDefinitions) > 0 && (
+      <div className="oh-operator-page__crds">
+        <h2>Custom Resources</h2>
+        <CardGrid>
+          {_.map(customResourceDefinitions, crd => (
+            <Card key={crd.name} className="oh-operator-page__crd" accented>
+              <CardTitle>
+                {crd.displayName}
+                <div className="oh-small oh-code">{`${crd.kind} (${crd.name}/${crd.version})`}</div>
+              </CardTitle>
+              <CardBody>
+                {crd.description && <p>{crd.description}</p>}
+                {this.renderDescriptors('SPEC', crd.specDescriptors)}
+                {this.renderDescriptors('STATUS', crd.statusDescriptors)}
+              </CardBody>
+            </Card>
+          ))}
+        </CardGrid>
+      </div>
+    );
+
+  renderExamples = almExamples =>
+    _.size(almExamples) > 0 && (
+      <div className="oh-operator-page__examples">
+        <h2>Example Custom Resources</h2>
+        {_.map(almExamples, (example, index) => (
+          <div key={`${example.kind}-${index}`} className="oh-operator-page__example">
+            <h3>{example.kind}</h3>
+            <CopyableCode code={safeDump(example)} />
+          </div>
+        ))}
+      </div>
+    );
+
   renderSidePanel() {
     const { operator } = this.state;
+    const { versions, channels } = this.props.operator;
     const {
       provider,
-      maturity,
+      capabilityLevel,
+      stability,
       links,
       version,
-      versions,
       repository,
       containerImage,
       createdAt,
@@ -212,9 +409,9 @@ class OperatorPage extends React.Component {
 
     const containerImageLink = containerImage && <ExternalLink href={containerImage} text={containerImage} />;
 
-    const maturityLabel = (
+    const capabilityLevelLabel = (
       <span>
-        <span>Operator Maturity</span>
+        <span>Capability Level</span>
         <OverlayTrigger
           overlay={
             <Popover id="maturiy-help" className="oh-maturity-popover">
@@ -243,23 +440,64 @@ class OperatorPage extends React.Component {
         </a>
         <div className="oh-operator-page__side-panel__separator" />
         <PropertiesSidePanel>
+          {_.size(channels) > 0 && this.renderPropertyItem('Channel', this.renderChannel(operator, versions, channels))}
           {this.renderPropertyItem('Operator Version', this.renderVersion(version, versions))}
-          {this.renderPropertyItem(maturityLabel, this.renderMaturity(maturity))}
+          {this.renderPropertyItem(capabilityLevelLabel, this.renderCapabilityLevel(capabilityLevel))}
+          {this.renderPropertyItem('Stability', stability)}
           {this.renderPropertyItem('Provider', provider)}
           {this.renderPropertyItem('Links', this.renderLinks(links))}
           {this.renderPropertyItem('Repository', repository)}
           {this.renderPropertyItem('Container Image', containerImageLink)}
           {this.renderPropertyItem('Created At', createdAt)}
           {this.renderPropertyItem('Maintainers', this.renderMaintainers(maintainers))}
-          {this.renderPropertyItem('Categories', categories)}
+          {this.renderPropertyItem('Categories', _.size(categories) > 0 && _.join(categories, ', '))}
         </PropertiesSidePanel>
       </div>
     );
   }
 
+  renderVersions() {
+    const { operator, upgradeGraph, upgradeGraphError } = this.props;
+
+    if (upgradeGraphError) {
+      return (
+        <Alert type="error">
+          <span>Error retrieving the upgrade graph</span>
+        </Alert>
+      );
+    }
+
+    if (upgradeGraph.packageName !== operator.packageName) {
+      return (
+        <div className="loading-state-pf">
+          <div className="spinner" />
+          Loading upgrade graph
+        </div>
+      );
+    }
+
+    return (
+      <div className="oh-operator-page__versions">
+        <p>
+          Each arrow is an upgrade supported by the Operator Lifecycle Manager, from an installed version to a newer
+          one. Channel heads are labeled with their channel names.
+        </p>
+        <UpgradeGraph
+          graph={upgradeGraph.graph}
+          selectedVersion={this.state.operator.name}
+          onSelectVersion={name => this.updateVersion(_.find(operator.versions, { name }))}
+        />
+      </div>
+    );
+  }
+
   renderView() {
-    const { error, pending } = this.props;
-    const { operator } = this.state;
+    const { error, pending, operatorNotFound } = this.props;
+    const { operator, activeView } = this.state;
+
+    if (operatorNotFound) {
+      return this.renderNotFound();
+    }
 
     if (error) {
       return this.renderError();
@@ -269,7 +507,7 @@ class OperatorPage extends React.Component {
       return this.renderPendingMessage();
     }
 
-    const { displayName, longDescription } = operator;
+    const { displayName, longDescription, customResourceDefinitions, almExamples } = operator;
 
     return (
       <div className="oh-operator-page row">
@@ -278,7 +516,16 @@ class OperatorPage extends React.Component {
         </Grid.Col>
         <Grid.Col xs={12} sm={8} smPull={4} md={9} mdPull={3}>
           <h1>{displayName}</h1>
-          {longDescription && <MarkdownView content={longDescription} outerScroll />}
+          <Tabs id="oh-operator-page-tabs" activeKey={activeView} onSelect={this.onSelectView} animation={false}>
+            <Tab eventKey="overview" title="Overview">
+              {longDescription && <MarkdownView content={longDescription} outerScroll />}
+              {this.renderCustomResources(customResourceDefinitions)}
+              {this.renderExamples(almExamples)}
+            </Tab>
+            <Tab eventKey="versions" title="Versions">
+              {activeView === 'versions' && this.renderVersions()}
+            </Tab>
+          </Tabs>
         </Grid.Col>
       </div>
     );
@@ -291,7 +538,11 @@ class OperatorPage extends React.Component {
     const headerContent = (
       <div className="oh-operator-header__content">
         <div className="oh-operator-header__image-container">
-          <img className="oh-operator-header__image" src={_.get(operator, 'imgUrl') || operatorImg} alt="" />
+          <img
+            className="oh-operator-header__image"
+            src={getIconURL(_.get(operator, 'imgUrl'), 120) || operatorImg}
+            alt=""
+          />
         </div>
         <div className="oh-operator-header__info">
           <h1 className="oh-operator-header__title oh-hero">{_.get(operator, 'displayName')}</h1>
@@ -324,7 +575,12 @@ class OperatorPage extends React.Component {
         showFooter={refreshed && !pending}
       >
         {this.renderView()}
-        <InstallModal show={installShown} operator={operator} onClose={this.hideInstall} />
+        <InstallModal
+          show={installShown}
+          operator={operator}
+          channel={_.get(this.getCurrentChannel(operator, _.get(this.props.operator, 'channels')), 'name')}
+          onClose={this.hideInstall}
+        />
       </Page>
     );
   }
@@ -335,12 +591,25 @@ OperatorPage.propTypes = {
   error: PropTypes.bool,
   errorMessage: PropTypes.string,
   pending: PropTypes.bool,
-  urlSearchString: PropTypes.string,
   history: PropTypes.shape({
     push: PropTypes.func.isRequired
   }).isRequired,
-  location: PropTypes.object.isRequired,
+  match: PropTypes.shape({
+    params: PropTypes.shape({
+      packageName: PropTypes.string,
+      version: PropTypes.string
+    })
+  }).isRequired,
   fetchOperator: PropTypes.func,
+  operatorNotFound: PropTypes.bool,
+  searchResults: PropTypes.shape({
+    keyword: PropTypes.string,
+    results: PropTypes.array
+  }),
+  searchOperators: PropTypes.func,
+  upgradeGraph: PropTypes.object,
+  upgradeGraphError: PropTypes.bool,
+  fetchUpgradeGraph: PropTypes.func,
   storeKeywordSearch: PropTypes.func
 };
 
@@ -349,13 +618,20 @@ OperatorPage.defaultProps = {
   error: false,
   errorMessage: '',
   pending: false,
-  urlSearchString: '',
   fetchOperator: helpers.noop,
+  operatorNotFound: false,
+  searchResults: {},
+  searchOperators: helpers.noop,
+  upgradeGraph: {},
+  upgradeGraphError: false,
+  fetchUpgradeGraph: helpers.noop,
   storeKeywordSearch: helpers.noop
 };
 
 const mapDispatchToProps = dispatch => ({
-  fetchOperator: name => dispatch(fetchOperator(name)),
+  fetchOperator: (name, reload) => dispatch(fetchOperator(name, reload)),
+  searchOperators: keyword => dispatch(searchOperators(keyword)),
+  fetchUpgradeGraph: name => dispatch(fetchUpgradeGraph(name)),
   storeKeywordSearch: keywordSearch =>
     dispatch({
       type: reduxConstants.SET_KEYWORD_SEARCH,
@@ -364,8 +640,7 @@ const mapDispatchToProps = dispatch => ({
 });
 
 const mapStateToProps = state => ({
-  ...state.operatorsState,
-  urlSearchString: state.viewState.urlSearchString
+  ...state.operatorsState
 });
 
 export default connect(
@@ -4,6 +4,9 @@ import { viewReducer } from './viewReducer';
 
 const GET_OPERATORS = 'GET_OPERATORS';
 const GET_OPERATOR = 'GET_OPERATOR';
+const GET_UPGRADE_GRAPH = 'GET_UPGRADE_GRAPH';
+const SEARCH_OPERATORS = 'SEARCH_OPERATORS';
+const GET_DIAGNOSTICS = 'GET_DIAGNOSTICS';
 
 const SET_ACTIVE_FILTERS = 'SET_ACTIVE_FILTERS';
 const SET_KEYWORD_SEARCH = 'SET_KEYWORD_SEARCH';
@@ -15,6 +18,9 @@ const SET_URL_SEARCH_STRING = 'SET_URL_SEARCH_STRING';
 const reduxConstants = {
   GET_OPERATORS,
   GET_OPERATOR,
+  GET_UPGRADE_GRAPH,
+  SEARCH_OPERATORS,
+  GET_DIAGNOSTICS,
   SET_ACTIVE_FILTERS,
   SET_KEYWORD_SEARCH,
   SET_SORT_TYPE,
@@ -1,3 +1,4 @@
+import * as _ from 'lodash-es';
 import { helpers } from '../common/helpers';
 import { reduxConstants } from './index';
 
@@ -8,7 +9,15 @@ const initialState = {
   pending: false,
   fulfilled: false,
   operators: [],
-  operator: {}
+  operator: {},
+  operatorNotFound: false,
+  upgradeGraph: {},
+  upgradeGraphError: false,
+  searchResults: {},
+  searchError: false,
+  diagnostics: {},
+  diagnosticsPending: false,
+  diagnosticsError: false
 };
 
 const operatorsReducer = (state = initialState, action) => {
@@ -38,15 +47,82 @@ const operatorsReducer = (state = initialState, action) => {
         fulfilled: true
       });
 
+    case helpers.PENDING_ACTION(reduxConstants.GET_OPERATOR):
+      return Object.assign({}, state, {
+        pending: true,
+        error: false,
+        errorResults: {},
+        operator: {},
+        operatorNotFound: false
+      });
+
+    case helpers.REJECTED_ACTION(reduxConstants.GET_OPERATOR): {
+      // Unknown operators are not an error, the page shows a not found state for them
+      const notFound = _.get(action.error, 'response.status') === 404;
+
+      return Object.assign({}, state, {
+        pending: false,
+        error: !notFound,
+        errorMessage: helpers.getErrorMessageFromResults(action.error),
+        errorResults: action.error,
+        operatorNotFound: notFound
+      });
+    }
+
     case helpers.FULFILLED_ACTION(reduxConstants.GET_OPERATOR):
       return Object.assign({}, state, {
         operator: action.payload,
+        operatorNotFound: false,
         error: false,
         errorResults: {},
         pending: false,
         fulfilled: true
       });
 
+    case helpers.REJECTED_ACTION(reduxConstants.GET_UPGRADE_GRAPH):
+      return Object.assign({}, state, {
+        upgradeGraph: {},
+        upgradeGraphError: true
+      });
+
+    case helpers.FULFILLED_ACTION(reduxConstants.GET_UPGRADE_GRAPH):
+      return Object.assign({}, state, {
+        upgradeGraph: action.payload,
+        upgradeGraphError: false
+      });
+
+    case helpers.REJECTED_ACTION(reduxConstants.SEARCH_OPERATORS):
+      return Object.assign({}, state, {
+        searchResults: {},
+        searchError: true
+      });
+
+    case helpers.FULFILLED_ACTION(reduxConstants.SEARCH_OPERATORS):
+      return Object.assign({}, state, {
+        searchResults: action.payload,
+        searchError: false
+      });
+
+    case helpers.PENDING_ACTION(reduxConstants.GET_DIAGNOSTICS):
+      return Object.assign({}, state, {
+        diagnosticsPending: true,
+        diagnosticsError: false
+      });
+
+    case helpers.REJECTED_ACTION(reduxConstants.GET_DIAGNOSTICS):
+      return Object.assign({}, state, {
+        diagnostics: {},
+        diagnosticsPending: false,
+        diagnosticsError: true
+      });
+
+    case helpers.FULFILLED_ACTION(reduxConstants.GET_DIAGNOSTICS):
+      return Object.assign({}, state, {
+        diagnostics: action.payload,
+        diagnosticsPending: false,
+        diagnosticsError: false
+      });
+
     default:
       return state;
   }
@@ -11,35 +11,97 @@ const serverURL = `http://${serverHost}:${serverPort}`;
 
 const allOperatorsRequest = process.env.DEV_MODE ? `${serverURL}/api/operators` : `/api/operators`;
 const operatorRequest = process.env.DEV_MODE ? `${serverURL}/api/operator` : `/api/operator`;
+const upgradeGraphRequest = process.env.DEV_MODE ? `${serverURL}/api/upgradeGraph` : `/api/upgradeGraph`;
+const searchRequest = process.env.DEV_MODE ? `${serverURL}/api/search` : `/api/search`;
+const diagnosticsRequest = process.env.DEV_MODE ? `${serverURL}/api/diagnostics` : `/api/diagnostics`;
+const previewEventsRequest = process.env.DEV_MODE ? `${serverURL}/api/preview/events` : `/api/preview/events`;
 
-const fetchOperator = operatorName => dispatch => {
-  dispatch({
-    type: helpers.PENDING_ACTION(reduxConstants.GET_OPERATORS)
-  });
+const getInstallManifestURL = (packageName, channel) => {
+  const origin = process.env.DEV_MODE ? serverURL : window.location.origin;
+  const channelQuery = channel ? `?channel=${encodeURIComponent(channel)}` : '';
+
+  return `${origin}/install/${encodeURIComponent(packageName)}.yaml${channelQuery}`;
+};
+
+/**
+ * Icons are served by the API, sized to fit a size by size square. Mock operators still carry data URIs.
+ */
+const getIconURL = (imgUrl, size) => {
+  if (!imgUrl || _.startsWith(imgUrl, 'data:')) {
+    return imgUrl;
+  }
+
+  const iconURL = process.env.DEV_MODE ? `${serverURL}${imgUrl}` : imgUrl;
+  return size ? `${iconURL}&size=${size}` : iconURL;
+};
 
+const getOperatorPath = (packageName, version) =>
+  `/operator/${encodeURIComponent(packageName)}${version ? `/${encodeURIComponent(version)}` : ''}`;
+
+/**
+ * Resolves the page of a package or CSV name, CSV names lead to that version of their package as the server's
+ * redirect of old operator links does. Unknown names lead to the page of that name, which shows them as not found.
+ */
+const fetchOperatorPath = operatorName => {
   if (process.env.MOCK_MODE) {
+    return Promise.resolve(getOperatorPath(operatorName));
+  }
+
+  return axios.get(operatorRequest, { params: { name: operatorName } }).then(
+    response => {
+      const { packageName, versions } = response.data.operator;
+      const versionOperator = _.find(versions, op => op.name === operatorName && op.name !== packageName);
+
+      return getOperatorPath(packageName, versionOperator && versionOperator.version);
+    },
+    () => getOperatorPath(operatorName)
+  );
+};
+
+const getMockOperators = () =>
+  getVersionedOperators(
+    _.map(mockOperators, operator => ({
+      packageName: operator.name,
+      installNamespace: `my-${operator.name}`,
+      ...operator
+    }))
+  );
+
+/**
+ * Reloading keeps the operator shown until the new one arrives, as a preview does when its files change
+ */
+const fetchOperator = (operatorName, reload) => dispatch => {
+  if (!reload) {
     dispatch({
-      type: helpers.FULFILLED_ACTION(reduxConstants.GET_OPERATOR),
-      payload: getVersionedOperators(_.cloneDeep(_.filter(mockOperators, { name: operatorName })))
+      type: helpers.PENDING_ACTION(reduxConstants.GET_OPERATOR)
     });
+  }
+
+  if (process.env.MOCK_MODE) {
+    const mockOperator = _.find(getMockOperators(), { packageName: operatorName });
+
+    dispatch(
+      mockOperator
+        ? { type: helpers.FULFILLED_ACTION(reduxConstants.GET_OPERATOR), payload: mockOperator }
+        : {
+            type: helpers.REJECTED_ACTION(reduxConstants.GET_OPERATOR),
+            error: { response: { status: 404, data: `Operator ${operatorName} not found` } }
+          }
+    );
     return;
   }
 
-  const config = { params: { name: operatorName } };
   axios
-    .get(operatorRequest, config)
+    .get(`${allOperatorsRequest}/${encodeURIComponent(operatorName)}`)
     .then(response => {
-      const responseOperators = response.data.operators;
-      const operators = getVersionedOperators(responseOperators);
-
       dispatch({
         type: helpers.FULFILLED_ACTION(reduxConstants.GET_OPERATOR),
-        payload: operators[0]
+        payload: response.data.operator
       });
     })
     .catch(e => {
       dispatch({
-        type: helpers.REJECTED_ACTION(reduxConstants.GET_OPERATORS),
+        type: helpers.REJECTED_ACTION(reduxConstants.GET_OPERATOR),
         error: e
       });
     });
@@ -53,20 +115,19 @@ const fetchOperators = () => dispatch => {
   if (process.env.MOCK_MODE) {
     dispatch({
       type: helpers.FULFILLED_ACTION(reduxConstants.GET_OPERATORS),
-      payload: getVersionedOperators(_.cloneDeep(mockOperators))
+      payload: getMockOperators()
     });
     return;
   }
 
+  // The hub only shows tiles, the full detail of an operator is loaded by its page
+  const config = { params: { fields: 'summary' } };
   axios
-    .get(allOperatorsRequest)
+    .get(allOperatorsRequest, config)
     .then(response => {
-      const responseOperators = response.data.operators;
-      const operators = getVersionedOperators(responseOperators);
-
       dispatch({
         type: helpers.FULFILLED_ACTION(reduxConstants.GET_OPERATORS),
-        payload: operators
+        payload: response.data.operators
       });
     })
     .catch(e => {
@@ -78,9 +139,153 @@ const fetchOperators = () => dispatch => {
     });
 };
 
+const fetchUpgradeGraph = operatorName => dispatch => {
+  if (process.env.MOCK_MODE) {
+    const mockOperator = _.find(getMockOperators(), { packageName: operatorName });
+    const nodes = _.map(_.reverse([..._.get(mockOperator, 'versions', [])]), ({ name, version }) => ({
+      name,
+      version,
+      channels: [],
+      channelHeads: []
+    }));
+
+    dispatch({
+      type: helpers.FULFILLED_ACTION(reduxConstants.GET_UPGRADE_GRAPH),
+      payload: { packageName: operatorName, graph: { nodes, edges: [] } }
+    });
+    return;
+  }
+
+  const config = { params: { name: operatorName } };
+  axios
+    .get(upgradeGraphRequest, config)
+    .then(response => {
+      dispatch({
+        type: helpers.FULFILLED_ACTION(reduxConstants.GET_UPGRADE_GRAPH),
+        payload: response.data
+      });
+    })
+    .catch(e => {
+      dispatch({
+        type: helpers.REJECTED_ACTION(reduxConstants.GET_UPGRADE_GRAPH),
+        error: e
+      });
+    });
+};
+
+/**
+ * Searches for a number of the best matching packages, or every matching package with a limit of 'all'
+ */
+const searchOperators = (keyword, limit) => dispatch => {
+  if (process.env.MOCK_MODE) {
+    const filterString = keyword.toLowerCase();
+    const matches = _.filter(getMockOperators(), operator =>
+      _.some([operator.displayName, operator.description, operator.provider], value =>
+        _.includes(_.toLower(value), filterString)
+      )
+    );
+
+    dispatch({
+      type: helpers.FULFILLED_ACTION(reduxConstants.SEARCH_OPERATORS),
+      payload: {
+        keyword,
+        results: _.map(matches, ({ packageName, name, displayName, provider, description }) => ({
+          packageName,
+          name,
+          displayName,
+          provider,
+          snippet: [{ text: description, highlight: false }]
+        }))
+      }
+    });
+    return;
+  }
+
+  const config = { params: _.pickBy({ keyword, limit }) };
+  axios
+    .get(searchRequest, config)
+    .then(response => {
+      dispatch({
+        type: helpers.FULFILLED_ACTION(reduxConstants.SEARCH_OPERATORS),
+        payload: response.data
+      });
+    })
+    .catch(e => {
+      dispatch({
+        type: helpers.REJECTED_ACTION(reduxConstants.SEARCH_OPERATORS),
+        error: e
+      });
+    });
+};
+
+const fetchDiagnostics = () => dispatch => {
+  dispatch({
+    type: helpers.PENDING_ACTION(reduxConstants.GET_DIAGNOSTICS)
+  });
+
+  // Mock operators are not loaded from catalog files
+  if (process.env.MOCK_MODE) {
+    dispatch({
+      type: helpers.FULFILLED_ACTION(reduxConstants.GET_DIAGNOSTICS),
+      payload: { errors: 0, warnings: 0, rules: {}, packages: [], diagnostics: [] }
+    });
+    return;
+  }
+
+  axios
+    .get(diagnosticsRequest)
+    .then(response => {
+      dispatch({
+        type: helpers.FULFILLED_ACTION(reduxConstants.GET_DIAGNOSTICS),
+        payload: response.data
+      });
+    })
+    .catch(e => {
+      dispatch({
+        type: helpers.REJECTED_ACTION(reduxConstants.GET_DIAGNOSTICS),
+        error: e
+      });
+    });
+};
+
+/**
+ * Calls onReload with the names of the previewed packages each time the server reloads its preview. Returns a
+ * function to stop listening. The server ends the stream at once when it is not previewing a directory.
+ */
+const watchPreview = onReload => {
+  if (process.env.MOCK_MODE || !window.EventSource) {
+    return helpers.noop;
+  }
+
+  const events = new EventSource(previewEventsRequest);
+  events.addEventListener('reload', e => onReload(JSON.parse(e.data).packageNames));
+
+  return () => events.close();
+};
+
 const operatorsService = {
   fetchOperator,
-  fetchOperators
+  fetchOperators,
+  fetchUpgradeGraph,
+  searchOperators,
+  fetchDiagnostics,
+  watchPreview,
+  fetchOperatorPath,
+  getOperatorPath,
+  getInstallManifestURL,
+  getIconURL
 };
 
-export { operatorsService, fetchOperator, fetchOperators };
+export {
+  operatorsService,
+  fetchOperator,
+  fetchOperators,
+  fetchUpgradeGraph,
+  searchOperators,
+  fetchDiagnostics,
+  watchPreview,
+  fetchOperatorPath,
+  getOperatorPath,
+  getInstallManifestURL,
+  getIconURL
+};
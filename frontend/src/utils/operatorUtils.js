@@ -1,45 +1,14 @@
 import * as _ from 'lodash-es';
 import * as versionSort from 'version-sort';
 
-const addVersionedOperator = (operators, newOperator) => {
-  const existingOperator = _.find(operators, { displayName: newOperator.displayName });
-  if (existingOperator) {
-    if (!existingOperator.versions) {
-      existingOperator.versions = [existingOperator];
-    }
-    existingOperator.versions.push(newOperator);
-  }
-  return !!existingOperator;
-};
-
-const getVersionedOperators = operators => {
-  const uniqueOperators = _.reduce(
-    operators,
-    (versionedOperators, operator) => {
-      if (!addVersionedOperator(versionedOperators, operator)) {
-        versionedOperators.push(operator);
-      }
-      return versionedOperators;
-    },
-    []
-  );
-
-  return _.map(uniqueOperators, operator => {
-    if (!operator.versions) {
-      return operator;
-    }
-
-    const sortedOperators = _.reverse(versionSort(operator.versions, { nested: 'versionForCompare' }));
-    const latestOperator = sortedOperators[0];
-    latestOperator.version = `${latestOperator.version} (latest)`;
-
-    operator.versions = sortedOperators;
-    _.forEach(operator.versions, nextVersion => {
-      nextVersion.versions = sortedOperators;
-    });
-
-    return latestOperator;
+/**
+ * Groups operator versions by package, latest version first. The server does this grouping, only the mock
+ * operators need it done client side.
+ */
+const getVersionedOperators = operators =>
+  _.map(_.groupBy(operators, 'packageName'), (packageOperators, packageName) => {
+    const versions = _.reverse(versionSort(packageOperators, { nested: 'versionForCompare' }));
+    return { ...versions[0], packageName, versions };
   });
-};
 
 export { getVersionedOperators };
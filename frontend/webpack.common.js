@@ -80,6 +80,8 @@ module.exports = {
   },
   output: {
     filename: '[name].bundle.js',
-    path: path.resolve(__dirname, 'dist')
+    path: path.resolve(__dirname, 'dist'),
+    // Absolute asset paths, pages such as /operator/:packageName/:version are nested
+    publicPath: '/'
   }
 };
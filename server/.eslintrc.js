@@ -1,3 +1,7 @@
 module.exports = {
   extends: ['../.eslintrc.js'],
-};
\ No newline at end of file
+  settings: {
+    // Node's test runner is only importable through the node: scheme
+    'import/core-modules': ['node:test']
+  }
+};
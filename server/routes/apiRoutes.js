@@ -1,6 +1,12 @@
 const forceSSL = require('express-force-ssl');
 const operatorsService = require('../services/operatorsService');
 const updateService = require('../services/updateService');
+const installService = require('../services/installService');
+const upgradeService = require('../services/upgradeService');
+const searchService = require('../services/searchService');
+const iconService = require('../services/iconService');
+const diagnosticsService = require('../services/diagnosticsService');
+const previewService = require('../services/previewService');
 const { useSSL } = require('../utils/constants');
 
 const addCORSHeader = (request, response, next) => {
@@ -31,8 +37,20 @@ const forceToSSL = (request, response, next) => {
 module.exports = app => {
   app.get('/api/*', forceToSSL, addCORSHeader);
   app.post('/api/webhook', forceToSSL, addCORSHeader);
+  app.get('/install/*', forceToSSL, addCORSHeader);
 
   app.get('/api/operators', operatorsService.fetchOperators);
+  app.get('/api/operators/:packageName', operatorsService.fetchPackage);
+  app.get('/api/operators/:packageName/versions/:version', operatorsService.fetchPackageVersion);
+  app.get('/api/operators/:packageName/channels/:channel', operatorsService.fetchPackageChannel);
   app.get('/api/operator', operatorsService.fetchOperator);
+  app.get('/api/upgradeGraph', upgradeService.fetchUpgradeGraph);
+  app.get('/api/upgradePath', upgradeService.fetchUpgradePath);
+  app.get('/api/search', searchService.searchOperators);
+  app.get('/api/icons/:name', iconService.fetchIcon);
+  app.get('/api/diagnostics', diagnosticsService.fetchDiagnostics);
+  app.get('/api/preview/events', previewService.streamPreviewEvents);
   app.post('/api/webhook', updateService.updateLocalOperators);
+
+  app.get('/install/:packageName.yaml', installService.fetchInstallManifest);
 };
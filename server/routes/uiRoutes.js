@@ -1,16 +1,55 @@
 const express = require('express');
 const path = require('path');
+const _ = require('lodash');
+const persistentStore = require('../store/persistentStore');
 const { comingSoon } = require('../utils/constants');
 
+const sendIndex = (request, response) => {
+  response.sendFile(path.resolve(__dirname, `../../frontend/dist/index.html`));
+};
+
 const addRootRedirect = (app, pathName) => {
-  app.get(`/${pathName}`, (request, response) => {
-    response.sendFile(path.resolve(__dirname, `../../frontend/dist/index.html`));
-  });
+  app.get(`/${pathName}`, sendIndex);
   app.get(`/${pathName}/*`, (request, response) => {
     response.sendFile(path.resolve(__dirname, `../../frontend/dist/${request.url.slice(pathName.length + 2)}`));
   });
 };
 
+/**
+ * Operator pages used to be /operator?name="<JSON string>", send those links to the operator's path
+ */
+const redirectOperatorQuery = (request, response, next) => {
+  const { name } = request.query;
+
+  if (!name) {
+    next();
+    return;
+  }
+
+  let operatorName = name;
+  try {
+    const parsedName = JSON.parse(name);
+    // Other JSON values, like null or an object, are names as they were written
+    if (_.isString(parsedName)) {
+      operatorName = parsedName;
+    }
+  } catch (e) {
+    // Unquoted names are used as they are
+  }
+
+  // Old links may name a CSV rather than its package, those go to that version of the package
+  persistentStore
+    .getOperator(operatorName)
+    .then(({ operators }) => {
+      const packageName = _.size(operators) ? operators[0].packageName : operatorName;
+      const versionOperator = _.find(operators, op => op.name === operatorName && op.name !== packageName);
+      const versionPath = versionOperator ? `/${encodeURIComponent(versionOperator.version)}` : '';
+
+      response.redirect(301, `/operator/${encodeURIComponent(packageName)}${versionPath}`);
+    })
+    .catch(next);
+};
+
 module.exports = app => {
   // Base Public Routes
   if (comingSoon) {
@@ -22,7 +61,9 @@ module.exports = app => {
 
   // Page Routes
   addRootRedirect(app, 'about');
-  addRootRedirect(app, 'operator');
+  app.get('/operator', redirectOperatorQuery, sendIndex);
+  app.get('/operator/:packageName/:version?', sendIndex);
+  app.get('/admin/diagnostics', sendIndex);
   addRootRedirect(app, 'contribute');
   addRootRedirect(app, 'getting-started-with-operators');
   addRootRedirect(app, 'what-is-an-operator');
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Checks operator CSVs and packages the way the hub loads them, reporting each file as passed, passed with warnings
+ * or failed. Exits with 1 when a file fails, or with --strict when a file has warnings.
+ *
+ *   node scripts/lint-operators.js [--strict] <directory>
+ */
+const _ = require('lodash');
+const path = require('path');
+const { readCatalogFiles, parseCatalogFiles } = require('../utils/catalogFileUtils');
+const { createYamlParserPool } = require('../utils/yamlParserPool');
+const { ERROR, WARNING } = require('../utils/validationUtils');
+
+const PASS = 'PASS';
+const WARN = 'WARN';
+const FAIL = 'FAIL';
+
+const usage = 'Usage: node scripts/lint-operators.js [--strict] <directory>';
+
+const getFileStatus = diagnostics => {
+  if (_.some(diagnostics, { severity: ERROR })) {
+    return FAIL;
+  }
+  return _.some(diagnostics, { severity: WARNING }) ? WARN : PASS;
+};
+
+// How the operator will show on the hub
+const getOperatorSummary = operator =>
+  _.compact([
+    `${operator.displayName} ${operator.version} (${operator.packageName})`,
+    operator.provider && `by ${operator.provider}`,
+    operator.capabilityLevel,
+    operator.stability,
+    _.size(operator.categories) && operator.categories.join(', ')
+  ]).join(', ');
+
+const printReport = (directory, files, operators, diagnostics) => {
+  const diagnosticsByFile = _.groupBy(diagnostics, 'file');
+  const operatorsByFile = _.keyBy(operators, 'file');
+
+  const statuses = _.map(files, ({ file }) => {
+    const fileDiagnostics = diagnosticsByFile[file] || [];
+    const status = getFileStatus(fileDiagnostics);
+
+    console.log(`${status}  ${path.relative(directory, file)}`);
+    if (operatorsByFile[file]) {
+      console.log(`      ${getOperatorSummary(operatorsByFile[file])}`);
+    }
+    _.forEach(_.sortBy(fileDiagnostics, ({ severity }) => severity !== ERROR), ({ severity, rule, message }) =>
+      console.log(`      ${_.padEnd(severity, 8)} ${_.padEnd(rule, 24)} ${message}`)
+    );
+    return status;
+  });
+
+  const counts = _.countBy(statuses);
+  console.log(
+    `\n${files.length} files: ${counts[PASS] || 0} passed, ${counts[WARN] || 0} with warnings, ` +
+      `${counts[FAIL] || 0} failed`
+  );
+  return counts;
+};
+
+const lintOperators = (directory, strict) => {
+  const parser = createYamlParserPool();
+
+  return readCatalogFiles(directory)
+    .then(files =>
+      parseCatalogFiles(files, parser, _.noop).then(({ operators, diagnostics }) => {
+        if (!files.length) {
+          console.log(`No CSV or package files found in ${directory}`);
+        }
+
+        const counts = printReport(directory, files, operators, diagnostics);
+        return counts[FAIL] || (strict && counts[WARN]) ? 1 : 0;
+      })
+    )
+    .then(exitCode => parser.close().then(() => exitCode), err => parser.close().then(() => Promise.reject(err)));
+};
+
+const args = process.argv.slice(2);
+const directory = _.find(args, arg => !arg.startsWith('--'));
+
+if (!directory || args.includes('--help')) {
+  console.log(usage);
+  process.exit(directory ? 0 : 2);
+}
+
+lintOperators(path.normalize(directory), args.includes('--strict'))
+  .then(exitCode => process.exit(exitCode))
+  .catch(err => {
+    console.error(`Unable to lint ${directory}: ${err.message}`);
+    process.exit(2);
+  });
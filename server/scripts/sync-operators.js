@@ -0,0 +1,33 @@
+#!/usr/bin/env node
+
+/**
+ * Syncs the community operators the catalog is loaded from with COMMUNITY_REPO at COMMUNITY_REF, a branch, tag or
+ * commit, fetching COMMUNITY_DEPTH commits when set. Prints the commits synced from and to and the changed files.
+ *
+ *   node scripts/sync-operators.js
+ */
+const _ = require('lodash');
+const { syncRepository } = require('../utils/gitSyncUtils');
+const {
+  communityOperatorsDirectory,
+  communityOperatorsRepository,
+  communityOperatorsRef,
+  communityOperatorsDepth
+} = require('../utils/constants');
+
+console.log(`Syncing ${communityOperatorsDirectory} with ${communityOperatorsRepository} ${communityOperatorsRef}`);
+
+syncRepository({
+  directory: communityOperatorsDirectory,
+  remote: communityOperatorsRepository,
+  ref: communityOperatorsRef,
+  depth: communityOperatorsDepth
+})
+  .then(({ oldSha, newSha, changedFiles }) => {
+    console.log(oldSha ? `${oldSha} -> ${newSha}` : `Checked out ${newSha}`);
+    _.forEach(_.countBy(changedFiles, 'status'), (count, status) => console.log(`${status}: ${count} files`));
+  })
+  .catch(err => {
+    console.error(err.message);
+    process.exit(1);
+  });
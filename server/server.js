@@ -6,10 +6,19 @@ const selfSignedHttps = require('self-signed-https');
 const _ = require('lodash');
 
 const loadService = require('./services/loadService');
+const previewService = require('./services/previewService');
 const persistentStore = require('./store/persistentStore');
 const uiRoutes = require('./routes/uiRoutes');
 const apiRoutes = require('./routes/apiRoutes');
-const { serverPort, secureServerPort, useSSL, keysDirectory, mockMode } = require('./utils/constants');
+const {
+  serverPort,
+  secureServerPort,
+  useSSL,
+  keysDirectory,
+  mockMode,
+  previewDirectory
+} = require('./utils/constants');
+const { decodeIconDataUri, getIconUrl } = require('./utils/iconUtils');
 const mockOperators = require('./__mock__/operators');
 
 const app = express();
@@ -56,15 +65,41 @@ const serverStart = err => {
 };
 
 const populateDBMock = () => {
-  persistentStore.setOperators(mockOperators, serverStart);
+  // Mock operators predate package manifests, their name is the closest thing to a package name
+  const operators = _.map(mockOperators, operator => {
+    const icon = decodeIconDataUri(operator.imgUrl);
+    return Object.assign({ packageName: operator.name }, operator, { imgUrl: getIconUrl(operator.name, icon), icon });
+  });
+  // Mock operators do not come from a catalog commit, the next catalog boot has to load the catalog again
+  return persistentStore.setCatalog({ operators, channels: [], commit: null });
 };
 
-const populateDB = () => {
-  loadService.loadOperators(serverStart);
+const populateDB = () => loadService.loadOperatorsIfChanged();
+
+// A preview keeps loading as its files change, whether or not the first load succeeded
+const populatePreview = () => {
+  const watch = () => previewService.watchPreview();
+  return loadService.loadPreview().then(watch, err => {
+    watch();
+    return Promise.reject(err);
+  });
 };
 
-const populate = mockMode ? populateDBMock : populateDB;
+const getPopulate = () => {
+  if (mockMode) {
+    return populateDBMock;
+  }
+  return previewDirectory ? populatePreview : populateDB;
+};
+
+const populate = getPopulate();
 
 setupApp();
 
-persistentStore.initialize(populate);
+persistentStore
+  .initialize()
+  .then(() => populate().then(() => serverStart(), serverStart))
+  .catch(err => {
+    console.error(`Error initializing the database: ${err.message}`);
+    process.exit(1);
+  });
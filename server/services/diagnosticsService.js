@@ -0,0 +1,54 @@
+const _ = require('lodash');
+const persistentStore = require('../store/persistentStore');
+const { sendServerError } = require('../utils/serviceUtils');
+const { ERROR, WARNING, validationRules } = require('../utils/validationUtils');
+
+// Packages with errors lost files to them, packages with only warnings are shown with fallback values
+const BROKEN = 'broken';
+const DEGRADED = 'degraded';
+
+const getPackageSummaries = diagnostics =>
+  _.map(_.groupBy(diagnostics, 'packageName'), (packageDiagnostics, packageName) => {
+    const errors = _.size(_.filter(packageDiagnostics, { severity: ERROR }));
+
+    return {
+      packageName,
+      status: errors ? BROKEN : DEGRADED,
+      errors,
+      warnings: packageDiagnostics.length - errors,
+      files: _.size(_.uniq(_.map(packageDiagnostics, 'file')))
+    };
+  });
+
+const fetchDiagnostics = (serverRequest, serverResponse) => {
+  const { severity, packageName } = serverRequest.query;
+
+  if (severity && ![ERROR, WARNING].includes(severity)) {
+    serverResponse.status(400).send(`Invalid severity: ${severity}, expected ${ERROR} or ${WARNING}`);
+    return;
+  }
+
+  persistentStore
+    .getDiagnostics()
+    .then(rows => {
+      const diagnostics = _.filter(rows, _.pickBy({ severity, packageName }));
+
+      serverResponse.send({
+        errors: _.size(_.filter(diagnostics, { severity: ERROR })),
+        warnings: _.size(_.filter(diagnostics, { severity: WARNING })),
+        rules: validationRules,
+        packages: _.orderBy(
+          getPackageSummaries(diagnostics),
+          ['errors', 'warnings', 'packageName'],
+          ['desc', 'desc', 'asc']
+        ),
+        diagnostics
+      });
+    })
+    .catch(err => sendServerError(serverResponse, err));
+};
+
+const diagnosticsService = {
+  fetchDiagnostics
+};
+module.exports = diagnosticsService;
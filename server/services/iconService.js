@@ -0,0 +1,81 @@
+const _ = require('lodash');
+const persistentStore = require('../store/persistentStore');
+const { sendServerError } = require('../utils/serviceUtils');
+const { SVG_MEDIATYPE, MIN_ICON_SIZE, MAX_ICON_SIZE, isValidIconSize, resizeIcon } = require('../utils/iconUtils');
+
+const ONE_YEAR_IN_SECONDS = 365 * 24 * 60 * 60;
+const MAX_CACHED_ICONS = 500;
+
+// Resized icons by ETag, resizing raster icons is too slow to repeat for every request
+let resizedIcons = {};
+
+const getResizedIcon = (icon, size) => {
+  const etag = `${icon.etag}-${size}`;
+
+  if (resizedIcons[etag]) {
+    return Promise.resolve(resizedIcons[etag]);
+  }
+
+  return resizeIcon(icon, size).then(resizedIcon => {
+    if (_.size(resizedIcons) >= MAX_CACHED_ICONS) {
+      resizedIcons = {};
+    }
+    resizedIcons[etag] = resizedIcon;
+    return resizedIcon;
+  });
+};
+
+const sendIcon = (serverResponse, icon) => {
+  serverResponse.set('Content-Type', icon.mediatype);
+  serverResponse.set('X-Content-Type-Options', 'nosniff');
+
+  if (icon.mediatype === SVG_MEDIATYPE) {
+    // Keeps anything the sanitizer missed from running when an icon is opened directly
+    serverResponse.set('Content-Security-Policy', "default-src 'none'; style-src 'unsafe-inline'; sandbox");
+  }
+
+  serverResponse.send(icon.data);
+};
+
+const fetchIcon = (serverRequest, serverResponse) => {
+  const { name } = serverRequest.params;
+  const { size } = serverRequest.query;
+
+  if (size !== undefined && !isValidIconSize(size)) {
+    serverResponse.status(400).send(`Invalid size ${size}, expected ${MIN_ICON_SIZE} to ${MAX_ICON_SIZE}`);
+    return;
+  }
+
+  persistentStore
+    .getIcon(name)
+    .then(icon => {
+      if (!icon) {
+        serverResponse.status(404).send(`Icon for ${name} not found`);
+        return;
+      }
+
+      serverResponse.set('ETag', `"${size ? `${icon.etag}-${size}` : icon.etag}"`);
+      serverResponse.set('Cache-Control', `public, max-age=${ONE_YEAR_IN_SECONDS}, immutable`);
+
+      if (serverRequest.fresh) {
+        serverResponse.status(304).end();
+        return;
+      }
+
+      if (!size) {
+        sendIcon(serverResponse, icon);
+        return;
+      }
+
+      getResizedIcon(icon, +size).then(
+        resizedIcon => sendIcon(serverResponse, resizedIcon),
+        err => sendServerError(serverResponse, err, `Unable to resize icon for ${name}`)
+      );
+    })
+    .catch(err => sendServerError(serverResponse, err));
+};
+
+const iconService = {
+  fetchIcon
+};
+module.exports = iconService;
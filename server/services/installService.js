@@ -0,0 +1,51 @@
+const _ = require('lodash');
+const persistentStore = require('../store/persistentStore');
+const { sendServerError } = require('../utils/serviceUtils');
+const { isValidNamespace, getDefaultNamespace, getInstallManifest } = require('../utils/installUtils');
+
+const fetchInstallManifest = (serverRequest, serverResponse) => {
+  const { packageName } = serverRequest.params;
+  const { channel, namespace, catalogSource } = serverRequest.query;
+
+  persistentStore
+    .getOperator(packageName)
+    .then(({ operators, channels }) => {
+      if (!_.size(operators)) {
+        serverResponse.status(404).send(`Operator ${packageName} not found`);
+        return;
+      }
+
+      const operatorPackage = operators[0].packageName;
+      const installChannel = channel
+        ? _.find(channels, { name: channel })
+        : _.find(channels, 'isDefault') || _.first(channels);
+
+      if (!installChannel) {
+        const reason = channel ? `has no channel ${channel}` : 'has no channels to subscribe to';
+        serverResponse.status(404).send(`Operator ${operatorPackage} ${reason}`);
+        return;
+      }
+
+      const installNamespace = namespace || getDefaultNamespace(operatorPackage);
+      if (!isValidNamespace(installNamespace)) {
+        serverResponse.status(400).send(`Invalid namespace ${installNamespace}`);
+        return;
+      }
+
+      serverResponse.set('Content-Type', 'text/yaml; charset=utf-8');
+      serverResponse.send(
+        getInstallManifest({
+          packageName: operatorPackage,
+          channel: installChannel.name,
+          namespace: installNamespace,
+          includeCatalogSource: catalogSource === 'true'
+        })
+      );
+    })
+    .catch(err => sendServerError(serverResponse, err));
+};
+
+const installService = {
+  fetchInstallManifest
+};
+module.exports = installService;
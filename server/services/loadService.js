@@ -1,44 +1,253 @@
 const _ = require('lodash');
-const fs = require('fs');
-const path = require('path');
-const yaml = require('js-yaml');
-const { normalizeOperators } = require('../utils/operatorUtils');
+const { execFile } = require('child_process');
+const { createYamlParserPool } = require('../utils/yamlParserPool');
+const { ERROR, WARNING } = require('../utils/validationUtils');
+const {
+  PACKAGE_FILE,
+  readCatalogFiles,
+  parseYamlFiles,
+  getPackageDirectories,
+  getStoredFiles,
+  readOperators,
+  parseCatalogFiles
+} = require('../utils/catalogFileUtils');
 const persistentStore = require('../store/persistentStore');
+const { communityOperatorsDirectory, previewDirectory, previewStandalone } = require('../utils/constants');
 
-const operatorsFrameworkDirectory = './data/community-operators';
+const PROGRESS_INTERVAL = 500;
 
-const loadOperators = callback => {
-  const fileList = [];
+const createProgress = (label, total) => {
+  let done = 0;
 
-  const allFilesSync = dir => {
-    fs.readdirSync(dir).forEach(file => {
-      const filePath = path.join(dir, file);
-      if (fs.statSync(filePath).isDirectory()) {
-        allFilesSync(filePath);
-      } else if (file.endsWith('.clusterserviceversion.yaml')) {
-        fileList.push(filePath);
-      }
+  return () => {
+    done++;
+    if (done % PROGRESS_INTERVAL === 0 || done === total) {
+      console.log(`${label} ${done}/${total}`);
+    }
+  };
+};
+
+/**
+ * Resolves the commit checked out in the community operators directory, null when it is not a git repository
+ */
+const getCatalogCommit = () =>
+  new Promise(resolve => {
+    execFile('git', ['rev-parse', 'HEAD'], { cwd: communityOperatorsDirectory }, (err, stdout) =>
+      resolve(err ? null : stdout.trim())
+    );
+  });
+
+const logDiagnostics = diagnostics => {
+  const errors = _.filter(diagnostics, { severity: ERROR });
+
+  _.forEach(errors, ({ file, message }) => console.error(`ERROR: ${file}: ${message}`));
+  console.log(`Found ${errors.length} errors and ${diagnostics.length - errors.length} warnings in the parsed files`);
+};
+
+const parseAllFiles = (files, parser) =>
+  parseCatalogFiles(files, parser, createProgress('Parsed catalog files', files.length));
+
+const parseChangedFiles = (files, changedFiles, storedFiles, parser) => {
+  const packageDirectories = getPackageDirectories(_.filter(storedFiles, { kind: PACKAGE_FILE }));
+  const progress = createProgress('Parsed changed catalog files', changedFiles.length);
+
+  return parseYamlFiles(changedFiles, parser, progress).then(csvFiles =>
+    Object.assign(readOperators(csvFiles, packageDirectories), { files: getStoredFiles(files, packageDirectories) })
+  );
+};
+
+const getElapsed = start => Date.now() - start;
+
+// Parser workers are only kept while a load is parsing
+const withYamlParser = parse => {
+  const parser = createYamlParserPool();
+  const closeParser = result => parser.close().then(() => result);
+
+  return parse(parser).then(closeParser, err => closeParser().then(() => Promise.reject(err)));
+};
+
+/**
+ * Only the CSV files which were added or changed since the last load are parsed, the catalog is loaded from scratch
+ * when package files changed since they decide the channels and which package a CSV belongs to. Resolves a report
+ * of the files found and parsed and how long each step took, in milliseconds.
+ */
+const loadCatalog = commit => {
+  const start = Date.now();
+  const timings = {};
+
+  return Promise.all([
+    persistentStore.getCatalogFiles(),
+    persistentStore.hasOperators(),
+    readCatalogFiles(communityOperatorsDirectory)
+  ]).then(([storedFiles, hasOperators, files]) => {
+    timings.discovery = getElapsed(start);
+
+    const storedHashes = _.reduce(
+      storedFiles,
+      (hashes, { file, hash }) => {
+        hashes[file] = hash;
+        return hashes;
+      },
+      {}
+    );
+    const foundFiles = _.keyBy(files, 'file');
+
+    const changedFiles = _.filter(files, ({ file, hash }) => storedHashes[file] !== hash);
+    const removedFiles = _.filter(storedFiles, ({ file }) => !foundFiles[file]);
+    const packagesChanged = _.some([...changedFiles, ...removedFiles], { kind: PACKAGE_FILE });
+    const fullLoad = !hasOperators || !storedFiles.length || packagesChanged;
+
+    const parseStart = Date.now();
+
+    return withYamlParser(parser => {
+      console.log(
+        fullLoad
+          ? `Loading ${files.length} catalog files with ${parser.size} parser workers`
+          : `Reloading ${changedFiles.length} changed catalog files, ${removedFiles.length} removed`
+      );
+
+      return fullLoad ? parseAllFiles(files, parser) : parseChangedFiles(files, changedFiles, storedFiles, parser);
+    }).then(catalog => {
+      timings.parsing = getElapsed(parseStart);
+      logDiagnostics(catalog.diagnostics);
+      const storeStart = Date.now();
+      const storing = fullLoad
+        ? persistentStore.setCatalog(Object.assign(catalog, { commit }))
+        : persistentStore.updateCatalog(Object.assign(catalog, { commit }));
+
+      return storing.then(() => {
+        timings.storing = getElapsed(storeStart);
+        timings.total = getElapsed(start);
+
+        const report = {
+          commit,
+          fullLoad,
+          files: files.length,
+          parsedFiles: fullLoad ? files.length : changedFiles.length,
+          removedFiles: removedFiles.length,
+          operators: catalog.operators.length,
+          errors: _.size(_.filter(catalog.diagnostics, { severity: ERROR })),
+          warnings: _.size(_.filter(catalog.diagnostics, { severity: WARNING })),
+          timings
+        };
+        console.log(
+          `Catalog loaded in ${timings.total}ms: discovery ${timings.discovery}ms, parsing ${timings.parsing}ms, ` +
+            `storing ${timings.storing}ms`
+        );
+        return report;
+      });
     });
+  });
+};
+
+// A load works out what changed against what the previous load stored, loads run one after the other
+let catalogLoad = Promise.resolve();
+
+const queueLoad = load => {
+  catalogLoad = catalogLoad.catch(_.noop).then(load);
+  return catalogLoad;
+};
+
+const emptyCatalog = { operators: [], channels: [], diagnostics: [] };
+
+const readCatalogDirectory = directory =>
+  readCatalogFiles(directory).then(files => withYamlParser(parser => parseAllFiles(files, parser)));
+
+// The catalog a preview is merged over is parsed once, previews only reparse the preview directory
+let previewCatalog = null;
+
+const getPreviewCatalog = () => {
+  if (previewStandalone) {
+    return Promise.resolve(emptyCatalog);
+  }
+
+  if (!previewCatalog) {
+    console.log(`Loading the catalog to merge the preview of ${previewDirectory} over`);
+    previewCatalog = readCatalogDirectory(communityOperatorsDirectory).catch(err => {
+      previewCatalog = null;
+      return Promise.reject(err);
+    });
+  }
+  return previewCatalog;
+};
+
+/**
+ * Previewed packages replace the catalog packages of the same name, with all their versions, channels and
+ * diagnostics
+ */
+const mergePreview = (catalog, preview) => {
+  const packageNames = _.uniq([..._.map(preview.channels, 'packageName'), ..._.map(preview.operators, 'packageName')]);
+  const isPreviewed = ({ packageName }) => packageNames.includes(packageName);
+
+  return {
+    packageNames,
+    operators: [..._.reject(catalog.operators, isPreviewed), ...preview.operators],
+    channels: [..._.reject(catalog.channels, isPreviewed), ...preview.channels],
+    diagnostics: [..._.reject(catalog.diagnostics, isPreviewed), ...preview.diagnostics]
   };
+};
+
+const loadPreviewCatalog = () => {
+  const start = Date.now();
+
+  return Promise.all([getPreviewCatalog(), readCatalogDirectory(previewDirectory)]).then(([catalog, preview]) => {
+    const { packageNames, operators, channels, diagnostics } = mergePreview(catalog, preview);
+    logDiagnostics(preview.diagnostics);
+
+    // The catalog files and commit are not kept, the next load without a preview loads the catalog from scratch
+    return persistentStore.setCatalog({ operators, channels, diagnostics, files: [], commit: null }).then(() => {
+      console.log(`Preview of ${packageNames.join(', ') || 'no packages'} loaded in ${getElapsed(start)}ms`);
+
+      return {
+        packageNames,
+        operators: preview.operators.length,
+        errors: _.size(_.filter(preview.diagnostics, { severity: ERROR })),
+        warnings: _.size(_.filter(preview.diagnostics, { severity: WARNING }))
+      };
+    });
+  });
+};
+
+/**
+ * Loads the operators and channels of the community operators directory into the store, reparsing only the files
+ * which changed since the last load. Files are read and parsed without blocking the server. In preview mode the
+ * catalog is parsed again and the preview merged over it.
+ */
+const loadOperators = () =>
+  queueLoad(() => {
+    if (previewDirectory) {
+      previewCatalog = null;
+      return loadPreviewCatalog();
+    }
+    return getCatalogCommit().then(loadCatalog);
+  });
 
-  allFilesSync(operatorsFrameworkDirectory);
-  const operators = _.reduce(
-    fileList,
-    (parsedOperators, file) => {
-      try {
-        parsedOperators.push(yaml.safeLoad(fs.readFileSync(file)));
-      } catch (e) {
-        console.error(`ERROR: Unable to parse ${file}`);
-        console.error(e.message);
+/**
+ * Loads the operators unless the store already holds them for the commit that is checked out
+ */
+const loadOperatorsIfChanged = () =>
+  queueLoad(() =>
+    Promise.all([getCatalogCommit(), persistentStore.getCatalogCommit(), persistentStore.hasOperators()]).then(
+      ([commit, loadedCommit, hasOperators]) => {
+        if (commit && commit === loadedCommit && hasOperators) {
+          console.log(`Operators are up to date with catalog commit ${commit}`);
+          return null;
+        }
+
+        return loadCatalog(commit);
       }
-      return parsedOperators;
-    },
-    []
+    )
   );
-  persistentStore.setOperators(normalizeOperators(operators), callback);
-};
+
+/**
+ * Loads the packages of the preview directory into the store, over the community operators catalog or on their own.
+ * Resolves the previewed package names and how many operators, errors and warnings the preview has.
+ */
+const loadPreview = () => queueLoad(loadPreviewCatalog);
 
 const loadService = {
-  loadOperators
+  loadOperators,
+  loadOperatorsIfChanged,
+  loadPreview
 };
 module.exports = loadService;
@@ -0,0 +1,123 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const { after, before, test } = require('node:test');
+
+process.env.PARSER_WORKERS = '0';
+
+const persistentStore = require('../store/persistentStore');
+const loadService = require('./loadService');
+
+// The catalog is loaded from ./data/community-operators, the tests run in a directory holding a small one
+const workDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'operatorhub-load-'));
+const packageDirectory = path.join(workDirectory, 'data', 'community-operators', 'etcd');
+
+const packageYaml = `packageName: etcd
+channels:
+- name: alpha
+  currentCSV: etcdoperator.v0.9.2
+defaultChannel: alpha
+`;
+
+const iconData = Buffer.from('<svg xmlns="http://www.w3.org/2000/svg"><circle r="5"/></svg>').toString('base64');
+
+const getCsvYaml = (version, displayName) => `apiVersion: operators.coreos.com/v1alpha1
+kind: ClusterServiceVersion
+metadata:
+  name: etcdoperator.v${version}
+  annotations:
+    description: Create and maintain highly-available etcd clusters on Kubernetes
+spec:
+  displayName: ${displayName}
+  version: ${version}
+  icon:
+  - base64data: ${iconData}
+    mediatype: image/svg+xml
+`;
+
+const writeCatalogFile = (name, content) => fs.writeFileSync(path.join(packageDirectory, name), content);
+
+const getOperatorNames = () => persistentStore.getOperators().then(operators => _.map(operators, 'name').sort());
+
+before(() => {
+  fs.mkdirSync(packageDirectory, { recursive: true });
+  writeCatalogFile('etcd.package.yaml', packageYaml);
+  writeCatalogFile('etcdoperator.v0.9.0.clusterserviceversion.yaml', getCsvYaml('0.9.0', 'etcd'));
+  writeCatalogFile('etcdoperator.v0.9.2.clusterserviceversion.yaml', getCsvYaml('0.9.2', 'etcd'));
+  process.chdir(workDirectory);
+
+  return persistentStore.initialize();
+});
+
+after(() => persistentStore.close().then(() => fs.rmSync(workDirectory, { recursive: true, force: true })));
+
+test('loads the catalog at boot', () =>
+  loadService
+    .loadOperatorsIfChanged()
+    .then(report => {
+      assert.strictEqual(report.fullLoad, true);
+      assert.strictEqual(report.operators, 2);
+      return getOperatorNames();
+    })
+    .then(names => assert.deepStrictEqual(names, ['etcdoperator.v0.9.0', 'etcdoperator.v0.9.2'])));
+
+test('answers lookups without parameters every time', () =>
+  Promise.all([persistentStore.hasOperators(), persistentStore.hasOperators(), persistentStore.hasOperators()]).then(
+    results => assert.deepStrictEqual(results, [true, true, true])
+  ));
+
+test('reloads changed files, one after the other', () => {
+  writeCatalogFile('etcdoperator.v0.9.0.clusterserviceversion.yaml', getCsvYaml('0.9.0', 'etcd Cluster'));
+
+  return Promise.all([loadService.loadOperators(), loadService.loadOperators()])
+    .then(([first, second]) => {
+      assert.strictEqual(first.fullLoad, false);
+      assert.strictEqual(first.parsedFiles, 1);
+      assert.strictEqual(second.parsedFiles, 0);
+      return persistentStore.getOperators();
+    })
+    .then(operators => {
+      assert.deepStrictEqual(_.map(operators, 'name').sort(), ['etcdoperator.v0.9.0', 'etcdoperator.v0.9.2']);
+      assert.strictEqual(_.find(operators, { name: 'etcdoperator.v0.9.0' }).displayName, 'etcd Cluster');
+    });
+});
+
+test('removes the operators of deleted files', () => {
+  fs.unlinkSync(path.join(packageDirectory, 'etcdoperator.v0.9.0.clusterserviceversion.yaml'));
+
+  return loadService
+    .loadOperators()
+    .then(report => {
+      assert.strictEqual(report.removedFiles, 1);
+      return getOperatorNames();
+    })
+    .then(names => assert.deepStrictEqual(names, ['etcdoperator.v0.9.2']));
+});
+
+test('keeps the search index and icons of unchanged files sharing a CSV name with a changed one', () => {
+  const copyFile = 'etcdoperator.v0.9.2-copy.clusterserviceversion.yaml';
+  const getSearchNames = () => persistentStore.searchOperators('etcd').then(rows => _.map(rows, 'name'));
+
+  writeCatalogFile(copyFile, getCsvYaml('0.9.2', 'etcd Copy'));
+
+  return loadService
+    .loadOperators()
+    .then(getSearchNames)
+    .then(names => {
+      assert.deepStrictEqual(names, ['etcdoperator.v0.9.2', 'etcdoperator.v0.9.2']);
+      writeCatalogFile(copyFile, getCsvYaml('0.9.2', 'etcd Copy Changed'));
+      return loadService.loadOperators();
+    })
+    .then(getSearchNames)
+    .then(names => {
+      assert.deepStrictEqual(names, ['etcdoperator.v0.9.2', 'etcdoperator.v0.9.2']);
+      fs.unlinkSync(path.join(packageDirectory, copyFile));
+      return loadService.loadOperators();
+    })
+    .then(getSearchNames)
+    .then(names => assert.deepStrictEqual(names, ['etcdoperator.v0.9.2']))
+    .then(() => persistentStore.getIcon('etcdoperator.v0.9.2'))
+    .then(icon => assert.ok(icon));
+});
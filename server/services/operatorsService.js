@@ -1,19 +1,162 @@
+const _ = require('lodash');
 const persistentStore = require('../store/persistentStore');
+const { getPackagedOperators, findVersion } = require('../utils/operatorUtils');
+const { getChannelMembers } = require('../utils/upgradeGraphUtils');
+const { getOperatorsQuery, queryOperators, getOperatorsPage } = require('../utils/operatorQueryUtils');
+const { sendServerError } = require('../utils/serviceUtils');
 
+const normalizeChannels = channels =>
+  _.map(channels, channel => Object.assign({}, channel, { isDefault: !!channel.isDefault }));
+
+/**
+ * Legacy lookup by package or CSV name, /api/operators/:packageName is the resource route
+ */
 const fetchOperator = (serverRequest, serverResponse) => {
-  persistentStore.getOperator(serverRequest.query.name, operators => {
-    serverResponse.send({ operators });
+  const { name } = serverRequest.query;
+
+  if (!name || !_.isString(name)) {
+    serverResponse.status(400).send('The name parameter is required');
+    return;
+  }
+
+  persistentStore
+    .getOperator(name)
+    .then(({ operators, channels }) => {
+      if (!_.size(operators)) {
+        serverResponse.status(404).send(`Operator ${name} not found`);
+        return;
+      }
+
+      serverResponse.send({ operator: getPackagedOperators(operators, normalizeChannels(channels))[0] });
+    })
+    .catch(err => sendServerError(serverResponse, err));
+};
+
+const fetchPackage = (serverRequest, serverResponse) => {
+  const { packageName } = serverRequest.params;
+
+  persistentStore
+    .getPackage(packageName)
+    .then(({ operators, channels }) => {
+      if (!_.size(operators)) {
+        serverResponse.status(404).send(`Operator ${packageName} not found`);
+        return;
+      }
+
+      serverResponse.send({ operator: getPackagedOperators(operators, normalizeChannels(channels))[0] });
+    })
+    .catch(err => sendServerError(serverResponse, err));
+};
+
+const fetchPackageVersion = (serverRequest, serverResponse) => {
+  const { packageName, version } = serverRequest.params;
+
+  persistentStore
+    .getPackage(packageName)
+    .then(({ operators }) => {
+      if (!_.size(operators)) {
+        serverResponse.status(404).send(`Operator ${packageName} not found`);
+        return;
+      }
+
+      const operator = findVersion(operators, version);
+      if (!operator) {
+        serverResponse.status(404).send(`Operator ${packageName} has no version ${version}`);
+        return;
+      }
+
+      serverResponse.send({ operator });
+    })
+    .catch(err => sendServerError(serverResponse, err));
+};
+
+const fetchPackageChannel = (serverRequest, serverResponse) => {
+  const { packageName, channel: channelName } = serverRequest.params;
+
+  persistentStore
+    .getPackage(packageName)
+    .then(({ operators, channels }) => {
+      if (!_.size(operators)) {
+        serverResponse.status(404).send(`Operator ${packageName} not found`);
+        return;
+      }
+
+      const channel = _.find(normalizeChannels(channels), { name: channelName });
+      if (!channel) {
+        serverResponse.status(404).send(`Operator ${packageName} has no channel ${channelName}`);
+        return;
+      }
+
+      const operatorsByName = _.keyBy(operators, 'name');
+      const versions = _.map(getChannelMembers(channel, operatorsByName), name => ({
+        name,
+        version: operatorsByName[name].version
+      }));
+
+      serverResponse.send({ channel: Object.assign({}, channel, { versions }) });
+    })
+    .catch(err => sendServerError(serverResponse, err));
+};
+
+const getSearchRanks = keyword => {
+  if (!keyword) {
+    return Promise.resolve({});
+  }
+
+  return persistentStore.searchOperators(keyword).then(rows => {
+    // Rows are ordered best match first, keep the best rank of each package
+    const bestRows = _.uniqBy(rows, 'packageName');
+    return _.zipObject(_.map(bestRows, 'packageName'), _.map(bestRows, 'rank'));
   });
 };
 
+/**
+ * Resolves the names of the packages matching the maintainer and crd filters, null when neither is set
+ */
+const getFilteredPackageNames = ({ maintainer, crd }) => {
+  const lookups = _.compact([
+    maintainer && persistentStore.getPackageNamesByMaintainer(maintainer),
+    crd && persistentStore.getPackageNamesByCrdKind(crd)
+  ]);
+
+  if (!lookups.length) {
+    return Promise.resolve(null);
+  }
+
+  return Promise.all(lookups).then(packageNameLists => _.intersection(...packageNameLists));
+};
+
 const fetchOperators = (serverRequest, serverResponse) => {
-  persistentStore.getOperators(operators => {
-    serverResponse.send({ operators });
-  });
+  const operatorsQuery = getOperatorsQuery(serverRequest.query);
+
+  if (operatorsQuery.error) {
+    serverResponse.status(400).send(operatorsQuery.error);
+    return;
+  }
+
+  Promise.all([
+    getSearchRanks(operatorsQuery.keyword),
+    getFilteredPackageNames(operatorsQuery),
+    persistentStore.getOperators(),
+    persistentStore.getChannels()
+  ])
+    .then(([searchRanks, packageNames, operators, channels]) => {
+      const packages = queryOperators(
+        getPackagedOperators(operators, normalizeChannels(channels)),
+        operatorsQuery,
+        searchRanks,
+        packageNames
+      );
+      serverResponse.send(getOperatorsPage(packages, operatorsQuery, serverRequest.path, serverRequest.query));
+    })
+    .catch(err => sendServerError(serverResponse, err));
 };
 
 const operatorsService = {
   fetchOperators,
-  fetchOperator
+  fetchOperator,
+  fetchPackage,
+  fetchPackageVersion,
+  fetchPackageChannel
 };
 module.exports = operatorsService;
@@ -0,0 +1,27 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const operatorsService = require('./operatorsService');
+
+// Resolves the status and body the service responds with
+const fetchOperators = query =>
+  new Promise(resolve => {
+    const response = {
+      statusCode: 200,
+      status: statusCode => Object.assign(response, { statusCode }),
+      send: body => resolve({ statusCode: response.statusCode, body })
+    };
+    operatorsService.fetchOperators({ query, path: '/api/operators' }, response);
+  });
+
+test('answers 400 for an invalid limit, sort or fields before reading the store', () =>
+  Promise.all([
+    fetchOperators({ limit: '0' }),
+    fetchOperators({ sort: 'popularity' }),
+    fetchOperators({ fields: 'name,password' })
+  ]).then(responses =>
+    assert.deepStrictEqual(responses, [
+      { statusCode: 400, body: 'Invalid limit: 0, expected 1 to 100' },
+      { statusCode: 400, body: 'Invalid sort: popularity' },
+      { statusCode: 400, body: 'Invalid fields: password' }
+    ])
+  ));
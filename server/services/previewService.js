@@ -0,0 +1,77 @@
+const _ = require('lodash');
+const loadService = require('./loadService');
+const { readCatalogFiles } = require('../utils/catalogFileUtils');
+const { previewDirectory } = require('../utils/constants');
+
+// fs.watch is not recursive on Linux, the preview directory is small enough to compare file hashes instead
+const POLL_INTERVAL = 1000;
+const RECONNECT_INTERVAL = 2000;
+
+const clients = new Set();
+let revision = 0;
+
+const sendEvent = (client, event, data) => client.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+const notifyClients = report => {
+  revision++;
+  clients.forEach(client => sendEvent(client, 'reload', Object.assign({ revision }, report)));
+};
+
+const getFingerprint = files => _.map(files, ({ file, hash }) => `${file}:${hash}`).join('\n');
+
+/**
+ * Reloads the preview whenever a file of the preview directory is added, changed or removed, and tells the pages
+ * listening for preview events which packages changed
+ */
+const watchPreview = () => {
+  let fingerprint = null;
+
+  const poll = () =>
+    readCatalogFiles(previewDirectory)
+      .then(files => {
+        const previousFingerprint = fingerprint;
+        fingerprint = getFingerprint(files);
+
+        if (previousFingerprint === null || previousFingerprint === fingerprint) {
+          return null;
+        }
+
+        console.log(`Files changed in ${previewDirectory}, reloading the preview`);
+        return loadService.loadPreview().then(notifyClients);
+      })
+      .catch(err => console.error(`Error reloading the preview: ${err.message}`))
+      .then(() => setTimeout(poll, POLL_INTERVAL));
+
+  console.log(`Watching ${previewDirectory} for changes`);
+  poll();
+};
+
+/**
+ * Streams a reload event to the page whenever the preview is reloaded. Without a preview the stream answers 204 No
+ * Content, which tells the page's EventSource not to reconnect.
+ */
+const streamPreviewEvents = (serverRequest, serverResponse) => {
+  if (!previewDirectory) {
+    serverResponse.status(204).end();
+    return;
+  }
+
+  serverResponse.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  serverResponse.flushHeaders();
+  serverResponse.write(`retry: ${RECONNECT_INTERVAL}\n\n`);
+  sendEvent(serverResponse, 'connected', { revision });
+
+  clients.add(serverResponse);
+  serverRequest.on('close', () => clients.delete(serverResponse));
+};
+
+const previewService = {
+  watchPreview,
+  streamPreviewEvents
+};
+
+module.exports = previewService;
@@ -0,0 +1,66 @@
+const _ = require('lodash');
+const persistentStore = require('../store/persistentStore');
+const { sendServerError } = require('../utils/serviceUtils');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Splits a highlighted snippet into text segments, so clients never have to parse markup
+ */
+const getSnippetSegments = snippet => {
+  const segments = [];
+
+  _.forEach((snippet || '').split(persistentStore.HIGHLIGHT_START), (part, index) => {
+    const [highlighted, rest] = index === 0 ? [null, part] : part.split(persistentStore.HIGHLIGHT_END);
+
+    if (highlighted) {
+      segments.push({ text: highlighted, highlight: true });
+    }
+    if (rest) {
+      segments.push({ text: rest, highlight: false });
+    }
+  });
+
+  return segments;
+};
+
+// Filtering the whole hub by a keyword needs every match, limit=all returns them
+const getLimit = limit => (limit === 'all' ? Infinity : _.clamp(parseInt(limit, 10) || DEFAULT_LIMIT, 1, MAX_LIMIT));
+
+const searchOperators = (serverRequest, serverResponse) => {
+  const { keyword } = serverRequest.query;
+  const limit = getLimit(serverRequest.query.limit);
+
+  if (!keyword) {
+    serverResponse.status(400).send('A keyword is required');
+    return;
+  }
+
+  if (!_.isString(keyword)) {
+    serverResponse.status(400).send('The keyword must be a single string');
+    return;
+  }
+
+  persistentStore
+    .searchOperators(keyword)
+    .then(rows => {
+      // Every CSV version is indexed, only the best match of each package is returned
+      const results = _.map(_.take(_.uniqBy(rows, 'packageName'), limit), row => ({
+        packageName: row.packageName,
+        name: row.name,
+        displayName: row.displayName,
+        provider: row.provider,
+        snippet: getSnippetSegments(row.snippet),
+        rank: row.rank
+      }));
+
+      serverResponse.send({ keyword, results });
+    })
+    .catch(err => sendServerError(serverResponse, err));
+};
+
+const searchService = {
+  searchOperators
+};
+module.exports = searchService;
@@ -1,28 +1,48 @@
+const _ = require('lodash');
 const loadService = require('./loadService');
+const { syncRepository } = require('../utils/gitSyncUtils');
+const { sendServerError } = require('../utils/serviceUtils');
+const {
+  communityOperatorsDirectory,
+  communityOperatorsRepository,
+  communityOperatorsRef,
+  communityOperatorsDepth
+} = require('../utils/constants');
 
-const { exec } = require('child_process');
+// Webhooks can arrive while a sync is still running, git only allows one at a time in a working copy
+let sync = Promise.resolve();
 
-const updateLocalOperators = (serverRequest, serverResponse) => {
-  exec('./scripts/update-operators.sh', (err, stdout, stderr) => {
-    if (err) {
-      // node couldn't execute the command
-      serverResponse.status(500).send(stderr);
-      return;
-    }
+const syncCommunityOperators = () => {
+  sync = sync.catch(_.noop).then(() =>
+    syncRepository({
+      directory: communityOperatorsDirectory,
+      remote: communityOperatorsRepository,
+      ref: communityOperatorsRef,
+      depth: communityOperatorsDepth
+    })
+  );
+  return sync;
+};
 
-    // the *entire* stdout and stderr (buffered)
-    console.log(`stdout: ${stdout}`);
-    console.log(`stderr: ${stderr}`);
-    serverResponse.send(stdout);
+const updateLocalOperators = (serverRequest, serverResponse) => {
+  syncCommunityOperators()
+    .then(result => {
+      console.log(
+        `Synced ${result.remote} ${result.ref} from ${result.oldSha} to ${result.newSha}, ` +
+          `${result.changedFiles.length} files changed`
+      );
+      serverResponse.send(result);
 
-    loadService.loadOperators(loadError => {
-      if (loadError) {
-        console.dir(loadError);
-      } else {
-        console.log('Operators have been updated');
+      if (!result.updated) {
+        return;
       }
-    });
-  });
+
+      loadService
+        .loadOperators()
+        .then(() => console.log('Operators have been updated'))
+        .catch(loadError => console.dir(loadError));
+    })
+    .catch(err => sendServerError(serverResponse, err, 'Unable to sync the community operators'));
 };
 
 const updateService = {
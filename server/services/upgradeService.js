@@ -0,0 +1,94 @@
+const _ = require('lodash');
+const persistentStore = require('../store/persistentStore');
+const { sendServerError } = require('../utils/serviceUtils');
+const { findVersion } = require('../utils/operatorUtils');
+const { getUpgradeGraph, getUpgradePath, getChannelMembers } = require('../utils/upgradeGraphUtils');
+
+const fetchUpgradeGraph = (serverRequest, serverResponse) => {
+  persistentStore
+    .getOperator(serverRequest.query.name)
+    .then(({ operators, channels }) => {
+      if (!_.size(operators)) {
+        serverResponse.status(404).send(`Operator ${serverRequest.query.name} not found`);
+        return;
+      }
+
+      serverResponse.send({ packageName: operators[0].packageName, graph: getUpgradeGraph(operators, channels) });
+    })
+    .catch(err => sendServerError(serverResponse, err));
+};
+
+const fetchUpgradePath = (serverRequest, serverResponse) => {
+  const { name, channel, from, to } = serverRequest.query;
+
+  if (!name || !channel || !from) {
+    serverResponse.status(400).send('The name, channel and from parameters are required');
+    return;
+  }
+
+  persistentStore
+    .getOperator(name)
+    .then(({ operators, channels }) => {
+      if (!_.size(operators)) {
+        serverResponse.status(404).send(`Operator ${name} not found`);
+        return;
+      }
+
+      const [{ packageName }] = operators;
+      const upgradeChannel = _.find(channels, { name: channel });
+      if (!upgradeChannel) {
+        serverResponse.status(404).send(`Operator ${packageName} has no channel ${channel}`);
+        return;
+      }
+
+      // The channel is walked back from its head, which can be missing when its CSV was left out of the catalog
+      const operatorsByName = _.keyBy(operators, 'name');
+      if (!operatorsByName[upgradeChannel.currentCSV]) {
+        serverResponse
+          .status(404)
+          .send(`The head ${upgradeChannel.currentCSV} of channel ${channel} of ${packageName} is missing`);
+        return;
+      }
+
+      const members = getChannelMembers(upgradeChannel, operatorsByName);
+      const channelOperators = _.filter(operators, operator => members.includes(operator.name));
+      const fromOperator = findVersion(channelOperators, from);
+      // Without a target version, upgrade to the head of the channel
+      const toOperator = to
+        ? findVersion(channelOperators, to)
+        : _.find(channelOperators, { name: upgradeChannel.currentCSV });
+
+      const missingVersion = (!fromOperator && from) || (!toOperator && to);
+      if (missingVersion) {
+        serverResponse.status(404).send(`Version ${missingVersion} of ${packageName} is not in channel ${channel}`);
+        return;
+      }
+
+      const path = getUpgradePath(operators, upgradeChannel, fromOperator.name, toOperator.name);
+      if (!path) {
+        serverResponse
+          .status(422)
+          .send(
+            `No upgrade path from ${fromOperator.version} to ${
+              toOperator.version
+            } in channel ${channel} of ${packageName}`
+          );
+        return;
+      }
+
+      serverResponse.send({
+        packageName,
+        channel,
+        from: { name: fromOperator.name, version: fromOperator.version },
+        to: { name: toOperator.name, version: toOperator.version },
+        path
+      });
+    })
+    .catch(err => sendServerError(serverResponse, err));
+};
+
+const upgradeService = {
+  fetchUpgradeGraph,
+  fetchUpgradePath
+};
+module.exports = upgradeService;
@@ -0,0 +1,73 @@
+const assert = require('assert');
+const { before, test } = require('node:test');
+const persistentStore = require('../store/persistentStore');
+const upgradeService = require('./upgradeService');
+
+const operators = [
+  { name: 'etcdoperator.v0.9.0', packageName: 'etcd', version: '0.9.0' },
+  { name: 'etcdoperator.v0.9.2', packageName: 'etcd', version: '0.9.2', replaces: 'etcdoperator.v0.9.0' },
+  {
+    name: 'etcdoperator.v0.9.4',
+    packageName: 'etcd',
+    version: '0.9.4',
+    replaces: 'etcdoperator.v0.9.2',
+    skipRange: '>=0.9.0 <0.9.4'
+  }
+];
+
+const channels = [
+  { packageName: 'etcd', name: 'alpha', currentCSV: 'etcdoperator.v0.9.4' },
+  { packageName: 'etcd', name: 'beta', currentCSV: 'etcdoperator.v1.0.0' }
+];
+
+// Resolves the status and body the service responds with
+const fetchUpgradePath = query =>
+  new Promise(resolve => {
+    const response = {
+      statusCode: 200,
+      status: statusCode => Object.assign(response, { statusCode }),
+      send: body => resolve({ statusCode: response.statusCode, body })
+    };
+    upgradeService.fetchUpgradePath({ query }, response);
+  });
+
+before(() => {
+  persistentStore.getOperator = name =>
+    Promise.resolve(name === 'etcd' ? { operators, channels } : { operators: [], channels: [] });
+});
+
+test('answers the upgrade path, hopping over the versions a skipRange covers', () =>
+  fetchUpgradePath({ name: 'etcd', channel: 'alpha', from: '0.9.0' }).then(({ statusCode, body }) => {
+    assert.strictEqual(statusCode, 200);
+    assert.deepStrictEqual(body, {
+      packageName: 'etcd',
+      channel: 'alpha',
+      from: { name: 'etcdoperator.v0.9.0', version: '0.9.0' },
+      to: { name: 'etcdoperator.v0.9.4', version: '0.9.4' },
+      path: [{ name: 'etcdoperator.v0.9.4', version: '0.9.4', via: 'skipRange' }]
+    });
+  }));
+
+test('answers 422 when the target version can not be reached', () =>
+  fetchUpgradePath({ name: 'etcd', channel: 'alpha', from: '0.9.4', to: '0.9.0' }).then(({ statusCode, body }) => {
+    assert.strictEqual(statusCode, 422);
+    assert.strictEqual(body, 'No upgrade path from 0.9.4 to 0.9.0 in channel alpha of etcd');
+  }));
+
+test('answers 404 for unknown operators, channels and versions', () =>
+  Promise.all([
+    fetchUpgradePath({ name: 'nope', channel: 'alpha', from: '0.9.0' }),
+    fetchUpgradePath({ name: 'etcd', channel: 'stable', from: '0.9.0' }),
+    fetchUpgradePath({ name: 'etcd', channel: 'alpha', from: '0.8.0' }),
+    fetchUpgradePath({ name: 'etcd', channel: 'beta', from: '0.9.0' })
+  ]).then(responses =>
+    assert.deepStrictEqual(responses, [
+      { statusCode: 404, body: 'Operator nope not found' },
+      { statusCode: 404, body: 'Operator etcd has no channel stable' },
+      { statusCode: 404, body: 'Version 0.8.0 of etcd is not in channel alpha' },
+      { statusCode: 404, body: 'The head etcdoperator.v1.0.0 of channel beta of etcd is missing' }
+    ])
+  ));
+
+test('answers 400 without the name, channel or from parameters', () =>
+  fetchUpgradePath({ name: 'etcd', channel: 'alpha' }).then(({ statusCode }) => assert.strictEqual(statusCode, 400)));
@@ -0,0 +1,224 @@
+/**
+ * Schema migrations in version order. The database's user_version is the version of the last migration applied.
+ * Migrations are never edited once released, schema changes are made by adding a new migration.
+ */
+const migrations = [
+  {
+    version: 1,
+    description: 'Operators, channels, icons and the operator search index',
+    sql: `
+      CREATE TABLE operators (
+        name TEXT,
+        packageName TEXT,
+        displayName TEXT,
+        version TEXT,
+        versionForCompare TEXT,
+        provider TEXT,
+        description TEXT,
+        longDescription TEXT,
+        imgUrl TEXT,
+        capabilityLevel TEXT,
+        stability TEXT,
+        links BLOB,
+        maintainers BLOB,
+        createdAt TEXT,
+        containerImage TEXT,
+        customResourceDefinitions TEXT,
+        almExamples TEXT,
+        replaces TEXT,
+        skips TEXT,
+        skipRange TEXT,
+        categories TEXT,
+        normalizationFallbacks TEXT,
+        keywords TEXT
+      );
+      CREATE VIRTUAL TABLE operator_search USING fts5(
+        packageName UNINDEXED,
+        name UNINDEXED,
+        displayName,
+        description,
+        longDescription,
+        provider,
+        keywords,
+        crdKinds
+      );
+      CREATE TABLE icons (
+        name TEXT PRIMARY KEY,
+        mediatype TEXT,
+        data BLOB,
+        etag TEXT
+      );
+      CREATE TABLE channels (
+        packageName TEXT,
+        name TEXT,
+        currentCSV TEXT,
+        isDefault INTEGER
+      );
+    `
+  },
+  {
+    version: 2,
+    description: 'Catalog state, such as the commit the catalog was loaded from, and lookup indexes',
+    sql: `
+      CREATE TABLE catalog_state (
+        key TEXT PRIMARY KEY,
+        value TEXT
+      );
+      CREATE INDEX operators_package_name ON operators (packageName);
+      CREATE INDEX operators_name ON operators (name);
+      CREATE INDEX channels_package_name ON channels (packageName);
+    `
+  },
+  {
+    version: 3,
+    description: 'Staging tables a new catalog is loaded into before it replaces the current one',
+    // Columns are in the same order as the catalog tables, migrations changing those tables have to change these too
+    sql: `
+      CREATE TABLE operators_staging AS SELECT * FROM operators WHERE 0;
+      CREATE TABLE operator_search_staging AS SELECT * FROM operator_search WHERE 0;
+      CREATE TABLE icons_staging AS SELECT * FROM icons WHERE 0;
+      CREATE TABLE channels_staging AS SELECT * FROM channels WHERE 0;
+    `
+  },
+  {
+    version: 4,
+    description: 'Tables for the links, maintainers, categories, keywords and owned CRDs of operators',
+    // The catalog can always be loaded again, so the operators tables are recreated empty rather than converted
+    sql: `
+      DROP TABLE operators;
+      DROP TABLE operators_staging;
+      DELETE FROM operator_search;
+      DELETE FROM icons;
+      DELETE FROM channels;
+      DELETE FROM catalog_state WHERE key = 'commit';
+
+      CREATE TABLE operators (
+        id INTEGER PRIMARY KEY,
+        name TEXT,
+        packageName TEXT,
+        displayName TEXT,
+        version TEXT,
+        versionForCompare TEXT,
+        provider TEXT,
+        description TEXT,
+        longDescription TEXT,
+        imgUrl TEXT,
+        capabilityLevel TEXT,
+        stability TEXT,
+        createdAt TEXT,
+        containerImage TEXT,
+        almExamples TEXT,
+        replaces TEXT,
+        skips TEXT,
+        skipRange TEXT,
+        normalizationFallbacks TEXT
+      );
+      CREATE INDEX operators_package_name ON operators (packageName);
+      CREATE INDEX operators_name ON operators (name);
+
+      CREATE TABLE operator_links (operatorId INTEGER, position INTEGER, name TEXT, url TEXT);
+      CREATE TABLE operator_maintainers (operatorId INTEGER, position INTEGER, name TEXT, email TEXT);
+      CREATE TABLE operator_categories (operatorId INTEGER, position INTEGER, category TEXT);
+      CREATE TABLE operator_keywords (operatorId INTEGER, position INTEGER, keyword TEXT);
+      CREATE TABLE operator_crds (
+        operatorId INTEGER,
+        position INTEGER,
+        name TEXT,
+        version TEXT,
+        kind TEXT,
+        displayName TEXT,
+        description TEXT,
+        specDescriptors TEXT,
+        statusDescriptors TEXT
+      );
+      CREATE INDEX operator_links_operator_id ON operator_links (operatorId);
+      CREATE INDEX operator_maintainers_operator_id ON operator_maintainers (operatorId);
+      CREATE INDEX operator_maintainers_name ON operator_maintainers (name COLLATE NOCASE);
+      CREATE INDEX operator_maintainers_email ON operator_maintainers (email COLLATE NOCASE);
+      CREATE INDEX operator_categories_operator_id ON operator_categories (operatorId);
+      CREATE INDEX operator_categories_category ON operator_categories (category);
+      CREATE INDEX operator_keywords_operator_id ON operator_keywords (operatorId);
+      CREATE INDEX operator_crds_operator_id ON operator_crds (operatorId);
+      CREATE INDEX operator_crds_kind ON operator_crds (kind COLLATE NOCASE);
+
+      CREATE TABLE operators_staging AS SELECT * FROM operators WHERE 0;
+      CREATE TABLE operator_links_staging AS SELECT * FROM operator_links WHERE 0;
+      CREATE TABLE operator_maintainers_staging AS SELECT * FROM operator_maintainers WHERE 0;
+      CREATE TABLE operator_categories_staging AS SELECT * FROM operator_categories WHERE 0;
+      CREATE TABLE operator_keywords_staging AS SELECT * FROM operator_keywords WHERE 0;
+      CREATE TABLE operator_crds_staging AS SELECT * FROM operator_crds WHERE 0;
+    `
+  },
+  {
+    version: 5,
+    description: 'Content hashes of the catalog files, so a reload only parses the files that changed',
+    sql: `
+      DELETE FROM catalog_state WHERE key = 'commit';
+
+      ALTER TABLE operators ADD COLUMN file TEXT;
+      ALTER TABLE operators_staging ADD COLUMN file TEXT;
+      CREATE INDEX operators_file ON operators (file);
+
+      CREATE TABLE catalog_files (file TEXT PRIMARY KEY, kind TEXT, hash TEXT, packageName TEXT);
+      CREATE TABLE catalog_files_staging AS SELECT * FROM catalog_files WHERE 0;
+    `
+  },
+  {
+    version: 6,
+    description: 'Diagnostics of the catalog files, the problems found while loading them',
+    // Forgetting the loaded files makes the next load a full one, which checks every file
+    sql: `
+      DELETE FROM catalog_files;
+      DELETE FROM catalog_state WHERE key = 'commit';
+
+      CREATE TABLE catalog_diagnostics (
+        file TEXT,
+        packageName TEXT,
+        operatorName TEXT,
+        severity TEXT,
+        rule TEXT,
+        message TEXT
+      );
+      CREATE INDEX catalog_diagnostics_file ON catalog_diagnostics (file);
+      CREATE TABLE catalog_diagnostics_staging AS SELECT * FROM catalog_diagnostics WHERE 0;
+    `
+  },
+  {
+    version: 7,
+    description: 'Search index and icon rows keyed by operator id, as CSV names are not unique across catalog files',
+    // The tables are filled again by the full load that follows forgetting the loaded files
+    sql: `
+      DELETE FROM catalog_files;
+      DELETE FROM catalog_state WHERE key = 'commit';
+
+      DROP TABLE operator_search;
+      DROP TABLE operator_search_staging;
+      CREATE VIRTUAL TABLE operator_search USING fts5(
+        operatorId UNINDEXED,
+        packageName UNINDEXED,
+        name UNINDEXED,
+        displayName,
+        description,
+        longDescription,
+        provider,
+        keywords,
+        crdKinds
+      );
+      CREATE TABLE operator_search_staging AS SELECT * FROM operator_search WHERE 0;
+
+      DROP TABLE icons;
+      DROP TABLE icons_staging;
+      CREATE TABLE icons (
+        operatorId INTEGER PRIMARY KEY,
+        name TEXT,
+        mediatype TEXT,
+        data BLOB,
+        etag TEXT
+      );
+      CREATE INDEX icons_name ON icons (name);
+      CREATE TABLE icons_staging AS SELECT * FROM icons WHERE 0;
+    `
+  }
+];
+
+module.exports = migrations;
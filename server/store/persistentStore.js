@@ -1,119 +1,495 @@
+const _ = require('lodash');
 const sqlite3 = require('sqlite3').verbose();
+const migrations = require('./migrations');
+const { databasePath } = require('../utils/constants');
 
 let db;
 
 const OPERATOR_TABLE = 'operators';
-const NAME_FIELD = 'name TEXT';
-const DISPLAY_NAME_FIELD = 'displayName TEXT';
-const VERSION_FIELD = 'version TEXT';
-const VERSION_COMPARE_FIELD = 'versionForCompare TEXT';
-const PROVIDER_FIELD = 'provider TEXT';
-const DESCRIPTION_FIELD = 'description TEXT';
-const LONG_DESCRIPTION_FIELD = 'longDescription TEXT';
-const IMG_FIELD = 'imgUrl TEXT';
-const MATURITY_FIELD = 'maturity BLOB';
-const LINKS_FIELD = 'links BLOB';
-const MAINTAINERS_FIELD = 'maintainers BLOB';
-const CREATED_FIELD = 'createdAt TEXT';
-const CONTAINER_IMAGE_FIELD = 'containerImage TEXT';
-
-exports.initialize = callback => {
-  db = new sqlite3.Database(':memory:', sqlite3.OPEN_READWRITE, err => {
-    if (err) {
-      console.error(err.message);
-      callback(err);
-      return;
-    }
-    console.log('Connected to the in-memory SQlite database.');
-    db.run(
-      `CREATE TABLE ${OPERATOR_TABLE} (
-        ${NAME_FIELD},
-        ${DISPLAY_NAME_FIELD},
-        ${VERSION_FIELD},
-        ${VERSION_COMPARE_FIELD},
-        ${PROVIDER_FIELD},
-        ${DESCRIPTION_FIELD},
-        ${LONG_DESCRIPTION_FIELD},
-        ${IMG_FIELD},
-        ${MATURITY_FIELD},
-        ${LINKS_FIELD},
-        ${MAINTAINERS_FIELD},
-        ${CREATED_FIELD},
-        ${CONTAINER_IMAGE_FIELD}
-      )`,
-      callback
-    );
-  });
+const CHANNEL_TABLE = 'channels';
+const ICON_TABLE = 'icons';
+const CATALOG_STATE_TABLE = 'catalog_state';
+const STAGING_SUFFIX = '_staging';
+const LINK_TABLE = 'operator_links';
+const MAINTAINER_TABLE = 'operator_maintainers';
+const CATEGORY_TABLE = 'operator_categories';
+const KEYWORD_TABLE = 'operator_keywords';
+const CRD_TABLE = 'operator_crds';
+const CATALOG_FILE_TABLE = 'catalog_files';
+const DIAGNOSTIC_TABLE = 'catalog_diagnostics';
+const SEARCH_TABLE = 'operator_search';
+// Marks the start and end of matched terms in search snippets
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+/**
+ * Operator fields stored as rows of their own table, in their original order. Columns lists the table's columns
+ * besides operatorId and position.
+ */
+const operatorRelations = {
+  links: {
+    table: LINK_TABLE,
+    columns: ['name', 'url'],
+    toColumns: link => [_.get(link, 'name'), _.get(link, 'url')],
+    fromRow: row => ({ name: row.name, url: row.url })
+  },
+  maintainers: {
+    table: MAINTAINER_TABLE,
+    columns: ['name', 'email'],
+    toColumns: maintainer => [_.get(maintainer, 'name'), _.get(maintainer, 'email')],
+    fromRow: row => ({ name: row.name, email: row.email })
+  },
+  categories: {
+    table: CATEGORY_TABLE,
+    columns: ['category'],
+    toColumns: category => [category],
+    fromRow: row => row.category
+  },
+  keywords: {
+    table: KEYWORD_TABLE,
+    columns: ['keyword'],
+    toColumns: keyword => [keyword],
+    fromRow: row => row.keyword
+  },
+  customResourceDefinitions: {
+    table: CRD_TABLE,
+    columns: ['name', 'version', 'kind', 'displayName', 'description', 'specDescriptors', 'statusDescriptors'],
+    toColumns: crd => [
+      crd.name,
+      crd.version,
+      crd.kind,
+      crd.displayName,
+      crd.description,
+      JSON.stringify(crd.specDescriptors || []),
+      JSON.stringify(crd.statusDescriptors || [])
+    ],
+    fromRow: row =>
+      Object.assign(_.pick(row, ['name', 'version', 'kind', 'displayName', 'description']), {
+        specDescriptors: JSON.parse(row.specDescriptors || '[]'),
+        statusDescriptors: JSON.parse(row.statusDescriptors || '[]')
+      })
+  }
 };
 
-exports.close = () => {
-  db.close();
+const relationFields = Object.keys(operatorRelations);
+
+const parseOperatorRow = (row, relationRows) =>
+  Object.assign(
+    _.omit(row, ['id', 'file']),
+    {
+      almExamples: JSON.parse(row.almExamples || '[]'),
+      skips: JSON.parse(row.skips || '[]'),
+      normalizationFallbacks: JSON.parse(row.normalizationFallbacks || '[]')
+    },
+    _.mapValues(operatorRelations, (relation, field) => _.map(_.get(relationRows, [field, row.id]), relation.fromRow))
+  );
+
+/**
+ * Joins the rows of the relation tables, given in the order of relationFields, back into their operators
+ */
+const parseOperatorRows = (rows, relationRowLists) => {
+  const relationRows = _.zipObject(relationFields, _.map(relationRowLists, list => _.groupBy(list, 'operatorId')));
+  return (rows || []).map(row => parseOperatorRow(row, relationRows));
 };
 
-exports.getOperator = (operatorName, callback) => {
-  db.all(`SELECT * FROM ${OPERATOR_TABLE} where name = '${operatorName}'`, (err, rows) => {
-    if (err) {
-      console.error(err.message);
-    }
-    db.all(`SELECT * FROM ${OPERATOR_TABLE} where displayName = '${rows[0].displayName}'`, (err2, allRows) => {
-      if (err) {
-        console.error(err.message);
-      }
-      callback(allRows);
-    });
+const getRelationStatementSql = () =>
+  _.reduce(
+    operatorRelations,
+    (sql, relation, field) => {
+      const columns = ['operatorId', 'position', ...relation.columns];
+
+      sql[`get_${field}`] = `SELECT * FROM ${relation.table} ORDER BY operatorId, position`;
+      sql[`get_package_${field}`] = `SELECT r.* FROM ${relation.table} r
+        JOIN ${OPERATOR_TABLE} o ON o.id = r.operatorId
+        WHERE o.packageName = ?
+        ORDER BY r.operatorId, r.position`;
+      sql[`insert_${field}`] = `INSERT INTO ${relation.table}${STAGING_SUFFIX} (${columns.join(', ')})
+        VALUES (${columns.map(() => '?').join(', ')})`;
+      return sql;
+    },
+    {}
+  );
+
+// Prepared statements by name, created once the tables exist
+const statements = {};
+
+const statementSql = Object.assign(getRelationStatementSql(), {
+  getPackageName: `SELECT packageName FROM ${OPERATOR_TABLE} WHERE packageName = ? OR name = ? LIMIT 1`,
+  getPackageOperators: `SELECT * FROM ${OPERATOR_TABLE} WHERE packageName = ?`,
+  getPackageChannels: `SELECT * FROM ${CHANNEL_TABLE} WHERE packageName = ?`,
+  getChannels: `SELECT * FROM ${CHANNEL_TABLE}`,
+  getPackageNamesByMaintainer: `SELECT DISTINCT o.packageName FROM ${OPERATOR_TABLE} o
+    JOIN ${MAINTAINER_TABLE} m ON m.operatorId = o.id
+    WHERE m.name = ? COLLATE NOCASE OR m.email = ? COLLATE NOCASE`,
+  getPackageNamesByCrdKind: `SELECT DISTINCT o.packageName FROM ${OPERATOR_TABLE} o
+    JOIN ${CRD_TABLE} c ON c.operatorId = o.id
+    WHERE c.kind = ? COLLATE NOCASE OR c.name = ? COLLATE NOCASE`,
+  getOperators: `SELECT * FROM ${OPERATOR_TABLE}`,
+  countOperators: `SELECT COUNT(*) AS count FROM ${OPERATOR_TABLE}`,
+  getMaxOperatorId: `SELECT COALESCE(MAX(id), 0) AS maxId FROM ${OPERATOR_TABLE}`,
+  getCatalogFiles: `SELECT * FROM ${CATALOG_FILE_TABLE}`,
+  getDiagnostics: `SELECT * FROM ${DIAGNOSTIC_TABLE} ORDER BY packageName, file, severity`,
+  getIcon: `SELECT * FROM ${ICON_TABLE} WHERE name = ?`,
+  // Column weights rank display name matches first, then keywords and CRD kinds, provider and descriptions
+  searchOperators: `SELECT packageName, name, displayName, provider,
+      snippet(${SEARCH_TABLE}, -1, ?, ?, '…', 16) AS snippet,
+      bm25(${SEARCH_TABLE}, 0, 0, 0, 10.0, 2.0, 1.0, 3.0, 5.0, 5.0) AS rank
+    FROM ${SEARCH_TABLE}
+    WHERE ${SEARCH_TABLE} MATCH ?
+    ORDER BY rank`,
+  insertOperator: `INSERT INTO ${OPERATOR_TABLE}${STAGING_SUFFIX}
+    (id, name, packageName, displayName, version, versionForCompare, provider, description, longDescription, imgUrl,
+    capabilityLevel, stability, createdAt, containerImage, almExamples, replaces, skips, skipRange,
+    normalizationFallbacks, file)
+    VALUES
+    (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  insertSearch: `INSERT INTO ${SEARCH_TABLE}${STAGING_SUFFIX}
+    (operatorId, packageName, name, displayName, description, longDescription, provider, keywords, crdKinds)
+    VALUES
+    (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+  insertIcon: `INSERT INTO ${ICON_TABLE}${STAGING_SUFFIX} (operatorId, name, mediatype, data, etag) VALUES (?, ?, ?, ?, ?)`,
+  insertChannel: `INSERT INTO ${CHANNEL_TABLE}${STAGING_SUFFIX} (packageName, name, currentCSV, isDefault)
+    VALUES (?, ?, ?, ?)`,
+  insertCatalogFile: `INSERT INTO ${CATALOG_FILE_TABLE}${STAGING_SUFFIX} (file, kind, hash, packageName) VALUES (?, ?, ?, ?)`,
+  insertDiagnostic: `INSERT INTO ${DIAGNOSTIC_TABLE}${STAGING_SUFFIX}
+    (file, packageName, operatorName, severity, rule, message)
+    VALUES (?, ?, ?, ?, ?, ?)`,
+  getCatalogState: `SELECT value FROM ${CATALOG_STATE_TABLE} WHERE key = ?`,
+  setCatalogState: `INSERT OR REPLACE INTO ${CATALOG_STATE_TABLE} (key, value) VALUES (?, ?)`
+});
+
+const CATALOG_COMMIT_KEY = 'commit';
+
+const exec = sql => new Promise((resolve, reject) => db.exec(sql, err => (err ? reject(err) : resolve())));
+
+const prepare = sql =>
+  new Promise((resolve, reject) => {
+    const statement = db.prepare(sql, err => (err ? reject(err) : resolve(statement)));
   });
-};
 
-exports.getOperators = callback => {
-  db.all(`SELECT * FROM ${OPERATOR_TABLE}`, (err, rows) => {
-    if (err) {
-      console.error(err.message);
+const run = (name, params) =>
+  new Promise((resolve, reject) => statements[name].run(params, err => (err ? reject(err) : resolve())));
+
+/**
+ * Statements are reused and sqlite3 only resets a statement when parameters are bound, without the reset a statement
+ * without parameters would step on past its row. The reset is queued right behind the get so no other get comes between.
+ */
+const get = (name, params) =>
+  new Promise((resolve, reject) => {
+    statements[name].get(params, (err, row) => (err ? reject(err) : resolve(row)));
+    statements[name].reset();
+  });
+
+const all = (name, params) =>
+  new Promise((resolve, reject) => statements[name].all(params, (err, rows) => (err ? reject(err) : resolve(rows))));
+
+/**
+ * Runs the work in a transaction, rolling it back when the work fails
+ */
+const inTransaction = work =>
+  exec('BEGIN TRANSACTION')
+    .then(work)
+    .then(() => exec('COMMIT'), err => exec('ROLLBACK').then(() => Promise.reject(err), () => Promise.reject(err)));
+
+/**
+ * Applies the migrations newer than the database's schema version, each in its own transaction
+ */
+const migrate = () =>
+  new Promise((resolve, reject) =>
+    db.get('PRAGMA user_version', (err, row) => (err ? reject(err) : resolve(row)))
+  ).then(({ user_version: schemaVersion }) => {
+    const latestVersion = _.last(migrations).version;
+
+    if (schemaVersion > latestVersion) {
+      throw new Error(`Database schema version ${schemaVersion} is newer than this server's ${latestVersion}`);
     }
-    callback(rows);
+
+    return _.filter(migrations, migration => migration.version > schemaVersion).reduce(
+      (previous, migration) =>
+        previous.then(() => {
+          console.log(`Migrating database schema to version ${migration.version}: ${migration.description}`);
+          return inTransaction(() => exec(`${migration.sql}; PRAGMA user_version = ${migration.version};`));
+        }),
+      Promise.resolve()
+    );
   });
-};
 
-exports.clearOperators = callback => {
-  db.run(`DELETE FROM ${OPERATOR_TABLE}`, callback);
+const prepareStatements = () =>
+  Promise.all(
+    Object.keys(statementSql).map(name =>
+      prepare(statementSql[name]).then(statement => {
+        statements[name] = statement;
+      })
+    )
+  );
+
+/**
+ * Opens the database, in memory unless a database path is configured, and brings its schema up to date
+ */
+exports.initialize = () =>
+  new Promise((resolve, reject) => {
+    db = new sqlite3.Database(databasePath, err => (err ? reject(err) : resolve()));
+  })
+    .then(() => {
+      console.log(`Connected to the SQlite database ${databasePath === ':memory:' ? 'in memory' : databasePath}.`);
+      return migrate();
+    })
+    .then(prepareStatements);
+
+exports.close = () =>
+  new Promise((resolve, reject) => {
+    Object.keys(statements).forEach(name => statements[name].finalize());
+    db.close(err => (err ? reject(err) : resolve()));
+  });
+
+/**
+ * Resolves the CSVs and channels of a package, both empty for unknown packages
+ */
+exports.getPackage = packageName =>
+  Promise.all([
+    all('getPackageOperators', [packageName]),
+    all('getPackageChannels', [packageName]),
+    ...relationFields.map(field => all(`get_package_${field}`, [packageName]))
+  ]).then(([rows, channels, ...relationRowLists]) => ({
+    operators: parseOperatorRows(rows, relationRowLists),
+    channels
+  }));
+
+/**
+ * Accepts either a package name or the name of one of its CSVs
+ */
+exports.getOperator = operatorName =>
+  get('getPackageName', [operatorName, operatorName]).then(row =>
+    row ? exports.getPackage(row.packageName) : { operators: [], channels: [] }
+  );
+
+exports.getOperators = () =>
+  Promise.all([all('getOperators', []), ...relationFields.map(field => all(`get_${field}`, []))]).then(
+    ([rows, ...relationRowLists]) => parseOperatorRows(rows, relationRowLists)
+  );
+
+exports.getChannels = () => all('getChannels', []);
+
+/**
+ * Resolves the names of the packages with a version maintained by the given maintainer name or email
+ */
+exports.getPackageNamesByMaintainer = maintainer =>
+  all('getPackageNamesByMaintainer', [maintainer, maintainer]).then(rows => _.map(rows, 'packageName'));
+
+/**
+ * Resolves the names of the packages with a version owning a CRD of the given kind or name
+ */
+exports.getPackageNamesByCrdKind = kind =>
+  all('getPackageNamesByCrdKind', [kind, kind]).then(rows => _.map(rows, 'packageName'));
+
+exports.getIcon = name => get('getIcon', [name]);
+
+/**
+ * Resolves the commit of the catalog repository the stored operators were loaded from, if known
+ */
+exports.getCatalogCommit = () => get('getCatalogState', [CATALOG_COMMIT_KEY]).then(row => row && row.value);
+
+exports.hasOperators = () => get('countOperators', []).then(row => row.count > 0);
+
+/**
+ * Resolves the catalog files the stored operators and channels were parsed from, with their content hashes
+ */
+exports.getCatalogFiles = () => all('getCatalogFiles', []);
+
+/**
+ * Resolves the problems found in the catalog files when they were loaded
+ */
+exports.getDiagnostics = () => all('getDiagnostics', []);
+
+/**
+ * Every term must match, the last one as a prefix so results show up while typing
+ */
+const getSearchQuery = keyword =>
+  (keyword || '')
+    .split(/\s+/)
+    .map(term => term.replace(/"/g, ''))
+    .filter(term => term)
+    .map(term => `"${term}"*`)
+    .join(' ');
+
+exports.searchOperators = keyword => {
+  const query = getSearchQuery(keyword);
+
+  return query ? all('searchOperators', [HIGHLIGHT_START, HIGHLIGHT_END, query]) : Promise.resolve([]);
 };
 
-exports.setOperators = (operators, callback) => {
-  const sql = `INSERT OR IGNORE INTO ${OPERATOR_TABLE}
-    (name, displayName, version, versionForCompare, provider, description, longDescription, imgUrl, maturity, links, maintainers, createdAt, containerImage)
-    VALUES
-    (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+exports.HIGHLIGHT_START = HIGHLIGHT_START;
+exports.HIGHLIGHT_END = HIGHLIGHT_END;
+
+const operatorTables = [OPERATOR_TABLE, ..._.map(operatorRelations, 'table'), SEARCH_TABLE, ICON_TABLE];
+const catalogTables = [...operatorTables, CHANNEL_TABLE, CATALOG_FILE_TABLE, DIAGNOSTIC_TABLE];
+
+const clearStaging = () => exec(catalogTables.map(table => `DELETE FROM ${table}${STAGING_SUFFIX};`).join('\n'));
+
+/**
+ * Replaces the catalog with the staged one. A single exec runs without other queries in between, so reads see
+ * either the whole previous catalog or the whole new one.
+ */
+const swapStaging = () =>
+  exec(`
+    BEGIN TRANSACTION;
+    ${catalogTables.map(table => `DELETE FROM ${table};`).join('\n')}
+    ${catalogTables.map(table => `INSERT OR IGNORE INTO ${table} SELECT * FROM ${table}${STAGING_SUFFIX};`).join('\n')}
+    COMMIT;
+  `).catch(err => exec('ROLLBACK').then(() => Promise.reject(err), () => Promise.reject(err)));
+
+// Stored files which were changed or removed according to the staged files
+const staleFilesSql = `SELECT file FROM (
+    SELECT file, hash FROM ${CATALOG_FILE_TABLE}
+    EXCEPT
+    SELECT file, hash FROM ${CATALOG_FILE_TABLE}${STAGING_SUFFIX}
+  )`;
+const staleOperatorsSql = `SELECT id FROM ${OPERATOR_TABLE} WHERE file IN (${staleFilesSql})`;
+
+/**
+ * Merges the staged operators and diagnostics into the catalog, in place of those of the changed and removed files,
+ * and replaces the catalog files with the staged ones. Runs as a single exec like the swap.
+ */
+const mergeStaging = () =>
+  exec(`
+    BEGIN TRANSACTION;
+    ${_.map(operatorRelations, ({ table }) => `DELETE FROM ${table} WHERE operatorId IN (${staleOperatorsSql});`).join(
+      '\n'
+    )}
+    DELETE FROM ${SEARCH_TABLE} WHERE operatorId IN (${staleOperatorsSql});
+    DELETE FROM ${ICON_TABLE} WHERE operatorId IN (${staleOperatorsSql});
+    DELETE FROM ${OPERATOR_TABLE} WHERE file IN (${staleFilesSql});
+    DELETE FROM ${DIAGNOSTIC_TABLE} WHERE file IN (${staleFilesSql});
+    ${[...operatorTables, DIAGNOSTIC_TABLE]
+      .map(table => `INSERT OR IGNORE INTO ${table} SELECT * FROM ${table}${STAGING_SUFFIX};`)
+      .join('\n')}
+    DELETE FROM ${CATALOG_FILE_TABLE};
+    INSERT INTO ${CATALOG_FILE_TABLE} SELECT * FROM ${CATALOG_FILE_TABLE}${STAGING_SUFFIX};
+    COMMIT;
+  `).catch(err => exec('ROLLBACK').then(() => Promise.reject(err), () => Promise.reject(err)));
 
-  exports.clearOperators(() =>
-    db.serialize(
+const insertRelations = (operator, id) =>
+  _.flatMap(operatorRelations, (relation, field) =>
+    _.map(_.castArray(operator[field] || []), (item, position) =>
+      run(`insert_${field}`, [id, position, ...relation.toColumns(item)])
+    )
+  );
+
+const insertOperator = (operator, id) =>
+  Promise.all([
+    run('insertOperator', [
+      id,
+      operator.name,
+      operator.packageName,
+      operator.displayName,
+      operator.version,
+      operator.versionForCompare,
+      operator.provider,
+      operator.description,
+      operator.longDescription,
+      operator.imgUrl,
+      operator.capabilityLevel || null,
+      operator.stability || null,
+      operator.createdAt,
+      operator.containerImage,
+      JSON.stringify(operator.almExamples || []),
+      operator.replaces || null,
+      JSON.stringify(operator.skips || []),
+      operator.skipRange || null,
+      JSON.stringify(operator.normalizationFallbacks || []),
+      operator.file || null
+    ]),
+    ...insertRelations(operator, id),
+    run('insertSearch', [
+      id,
+      operator.packageName,
+      operator.name,
+      operator.displayName,
+      operator.description,
+      operator.longDescription,
+      operator.provider,
+      (operator.keywords || []).join(' '),
+      (operator.customResourceDefinitions || []).map(crd => crd.kind).join(' ')
+    ]),
+    operator.icon
+      ? run('insertIcon', [id, operator.name, operator.icon.mediatype, operator.icon.data, operator.icon.etag])
+      : null
+  ]);
+
+const insertChannel = channel =>
+  run('insertChannel', [channel.packageName, channel.name, channel.currentCSV, channel.isDefault ? 1 : 0]);
+
+const insertCatalogFile = file => run('insertCatalogFile', [file.file, file.kind, file.hash, file.packageName || null]);
+
+const insertDiagnostic = diagnostic =>
+  run('insertDiagnostic', [
+    diagnostic.file,
+    diagnostic.packageName || null,
+    diagnostic.operatorName || null,
+    diagnostic.severity,
+    diagnostic.rule,
+    diagnostic.message
+  ]);
+
+const stageCatalog = ({ operators, channels, files, diagnostics }, firstId) =>
+  inTransaction(() =>
+    Promise.all([
+      ...operators.map((operator, index) => insertOperator(operator, firstId + index)),
+      ...(channels || []).map(insertChannel),
+      ...(files || []).map(insertCatalogFile),
+      ...(diagnostics || []).map(insertDiagnostic)
+    ])
+  );
+
+const loadStaged = (catalog, stage, apply, message) =>
+  clearStaging()
+    .then(stage)
+    .then(apply)
+    .then(() => run('setCatalogState', [CATALOG_COMMIT_KEY, catalog.commit || null]))
+    .then(
       () => {
-        db.run('BEGIN TRANSACTION');
-        operators.forEach(operator => {
-          db.run(sql, [
-            operator.name,
-            operator.displayName,
-            operator.version,
-            operator.versionForCompare,
-            operator.provider,
-            operator.description,
-            operator.longDescription,
-            operator.imgUrl,
-            operator.maturity || null,
-            operator.links || null,
-            operator.maintainers || null,
-            operator.createdAt,
-            operator.containerImage
-          ]);
-        });
-        db.run('END', callback);
+        console.log(message);
+        return clearStaging();
       },
-      err => {
-        if (err) {
-          console.error(err.message);
-        } else {
-          console.log(`Rows inserted`);
-        }
-        callback(err);
-      }
-    )
+      err => clearStaging().then(() => Promise.reject(err), () => Promise.reject(err))
+    );
+
+/**
+ * Staged operators get ids the stored ones do not use. Reads join relations to operators by id in separate queries,
+ * a load landing between them then leaves rows of the other catalog unjoined rather than joined to the wrong operator.
+ */
+const stageWithNewIds = catalog => () =>
+  get('getMaxOperatorId', []).then(({ maxId }) => stageCatalog(catalog, maxId + 1));
+
+const replaceCatalog = catalog =>
+  loadStaged(catalog, stageWithNewIds(catalog), swapStaging, `Catalog replaced, ${catalog.operators.length} operators`);
+
+const updateCatalog = catalog =>
+  loadStaged(
+    catalog,
+    stageWithNewIds(catalog),
+    mergeStaging,
+    `Catalog updated, ${catalog.operators.length} operators reloaded`
   );
+
+// Catalog loads share the staging tables, each waits for the previous one to finish
+let catalogLoad = Promise.resolve();
+
+/**
+ * Replaces the operators, channels and diagnostics of the catalog, and the commit they were loaded from. When the new catalog
+ * can not be stored the previous one stays in place.
+ */
+exports.setCatalog = catalog => {
+  catalogLoad = catalogLoad.catch(_.noop).then(() => replaceCatalog(catalog));
+  return catalogLoad;
+};
+
+/**
+ * Updates the catalog in place for the given files, the files it was last loaded from. Operators of files which
+ * changed or were removed since are replaced by the given operators and diagnostics, from the changed and added
+ * files. The channels are kept.
+ */
+exports.updateCatalog = catalog => {
+  catalogLoad = catalogLoad.catch(_.noop).then(() => updateCatalog(catalog));
+  return catalogLoad;
 };
@@ -0,0 +1,216 @@
+const _ = require('lodash');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { promisify } = require('util');
+const { normalizeOperator, normalizePackages } = require('./operatorUtils');
+const { getDiagnostic, hasErrors, validateCsv, validateOperator, validatePackage } = require('./validationUtils');
+
+const CSV_FILE = 'csv';
+const PACKAGE_FILE = 'package';
+
+const readdir = promisify(fs.readdir);
+const stat = promisify(fs.stat);
+const readFile = promisify(fs.readFile);
+
+const getFileHash = content =>
+  crypto
+    .createHash('sha1')
+    .update(content)
+    .digest('hex');
+
+const getFileKind = fileName =>
+  (fileName.endsWith('.clusterserviceversion.yaml') && CSV_FILE) ||
+  (fileName.endsWith('.package.yaml') && PACKAGE_FILE);
+
+/**
+ * Finds the CSV and package files below a directory, with their content and its hash. Directories are read one after
+ * the other, the entries of a directory together.
+ */
+const readCatalogFiles = directory => {
+  const files = [];
+
+  const readEntry = (dir, entry) => {
+    const filePath = path.join(dir, entry);
+    const kind = getFileKind(entry);
+
+    return stat(filePath).then(stats => {
+      if (stats.isDirectory()) {
+        return filePath;
+      }
+      if (kind) {
+        return readFile(filePath).then(content => {
+          files.push({ file: filePath, kind, content, hash: getFileHash(content) });
+        });
+      }
+      return null;
+    });
+  };
+
+  const readDirectory = dir =>
+    readdir(dir)
+      .then(entries => Promise.all(_.map(entries, entry => readEntry(dir, entry))))
+      .then(results =>
+        _.reduce(
+          _.filter(results, _.isString),
+          (previous, subdirectory) => previous.then(() => readDirectory(subdirectory)),
+          Promise.resolve()
+        )
+      );
+
+  return readDirectory(directory).then(() => _.sortBy(files, 'file'));
+};
+
+/**
+ * Parses the files with the parser pool, files which can not be parsed come with the parse error instead of data
+ */
+const parseYamlFiles = (fileList, parser, progress) =>
+  Promise.all(
+    _.map(fileList, ({ file, content }) =>
+      parser.parse(content.toString()).then(
+        data => {
+          progress();
+          return { file, data };
+        },
+        error => {
+          progress();
+          return { file, error };
+        }
+      )
+    )
+  );
+
+/**
+ * The package of a CSV is declared by the nearest package manifest above it, defaulting to the CSV's directory name
+ */
+const getPackageName = (file, packageDirectories) => {
+  for (let dir = path.dirname(file); dir !== path.dirname(dir); dir = path.dirname(dir)) {
+    if (packageDirectories[dir]) {
+      return packageDirectories[dir];
+    }
+  }
+
+  return path.basename(path.dirname(file));
+};
+
+const getPackageDirectories = packageFiles =>
+  _.reduce(
+    packageFiles,
+    (directories, { file, packageName }) => {
+      directories[path.dirname(file)] = packageName;
+      return directories;
+    },
+    {}
+  );
+
+// Parse errors end with an excerpt of the file, the first line says what and where
+const getParseDiagnostics = ({ file, error }) =>
+  error
+    ? [getDiagnostic(file, 'yaml-parse', `Unable to parse the file: ${_.trimEnd(error.message.split('\n')[0], ':')}`)]
+    : [];
+
+/**
+ * Reads the operators of the parsed CSV files. CSVs with errors are left out, all the diagnostics found are returned
+ * along with the operators.
+ */
+const readOperators = (parsedFiles, packageDirectories) =>
+  _.reduce(
+    parsedFiles,
+    (result, parsedFile) => {
+      const { file, data } = parsedFile;
+      const packageName = getPackageName(file, packageDirectories);
+      const addDiagnostics = diagnostics =>
+        result.diagnostics.push(
+          ..._.map(diagnostics, diagnostic =>
+            Object.assign(diagnostic, { packageName, operatorName: _.get(data, 'metadata.name') })
+          )
+        );
+
+      const csvDiagnostics = [...getParseDiagnostics(parsedFile), ...(data ? validateCsv(file, data) : [])];
+      addDiagnostics(csvDiagnostics);
+      if (hasErrors(csvDiagnostics)) {
+        return result;
+      }
+
+      try {
+        const operator = Object.assign(normalizeOperator(data, packageName), { file });
+        addDiagnostics(validateOperator(file, data, operator));
+        result.operators.push(operator);
+      } catch (e) {
+        addDiagnostics([getDiagnostic(file, 'csv-normalize', e.message)]);
+      }
+      return result;
+    },
+    { operators: [], diagnostics: [] }
+  );
+
+/**
+ * Reads the package files, packages with errors are left out
+ */
+const readPackages = parsedFiles =>
+  _.reduce(
+    parsedFiles,
+    (result, parsedFile) => {
+      const { file, data } = parsedFile;
+      const diagnostics = [...getParseDiagnostics(parsedFile), ...(data ? validatePackage(file, data) : [])];
+
+      result.diagnostics.push(
+        ..._.map(diagnostics, diagnostic =>
+          Object.assign(diagnostic, { packageName: _.get(data, 'packageName') || path.basename(path.dirname(file)) })
+        )
+      );
+      if (!hasErrors(diagnostics)) {
+        result.packages.push(parsedFile);
+      }
+      return result;
+    },
+    { packages: [], diagnostics: [] }
+  );
+
+// The files as stored with the catalog, which package each belongs to lets an update place CSVs without reparsing
+const getStoredFiles = (files, packageDirectories) =>
+  _.map(files, ({ file, kind, hash }) => ({
+    file,
+    kind,
+    hash,
+    packageName:
+      kind === PACKAGE_FILE ? packageDirectories[path.dirname(file)] : getPackageName(file, packageDirectories)
+  }));
+
+/**
+ * Parses the package and CSV files of a catalog the way the hub loads them. Resolves the operators, the channels of
+ * the packages, the files as stored with the catalog and the diagnostics of every file.
+ */
+const parseCatalogFiles = (files, parser, progress) =>
+  Promise.all([
+    parseYamlFiles(_.filter(files, { kind: PACKAGE_FILE }), parser, progress),
+    parseYamlFiles(_.filter(files, { kind: CSV_FILE }), parser, progress)
+  ]).then(([packageFiles, csvFiles]) => {
+    const { packages, diagnostics: packageDiagnostics } = readPackages(packageFiles);
+    const packageDirectories = getPackageDirectories(
+      _.map(packages, ({ file, data }) => ({ file, packageName: data.packageName }))
+    );
+    const { operators, diagnostics } = readOperators(csvFiles, packageDirectories);
+
+    return {
+      operators,
+      channels: normalizePackages(_.map(packages, 'data')),
+      files: getStoredFiles(files, packageDirectories),
+      diagnostics: [...packageDiagnostics, ...diagnostics]
+    };
+  });
+
+const catalogFileUtils = {
+  CSV_FILE,
+  PACKAGE_FILE,
+  readCatalogFiles,
+  parseYamlFiles,
+  getPackageName,
+  getPackageDirectories,
+  getStoredFiles,
+  readOperators,
+  readPackages,
+  parseCatalogFiles
+};
+
+module.exports = catalogFileUtils;
@@ -8,6 +8,47 @@ const keysDirectory = process.env.KEYDIR || '';
 const mockMode = process.env.MOCK === 'true';
 const comingSoon = process.env.COMINGSOON === 'true';
 
-const constants = { serverPort, secureServerPort, useSSL, keysDirectory, mockMode, comingSoon };
+// Keeps the catalog between restarts when set to a file path
+const databasePath = process.env.DATABASE_PATH || ':memory:';
+
+// Worker threads parsing catalog files, by default one less than the number of CPUs
+const parserWorkers = process.env.PARSER_WORKERS === undefined ? undefined : +process.env.PARSER_WORKERS;
+
+// The community operators repository the catalog is synced from, at a branch, tag or commit. A depth makes the
+// fetches shallow.
+const communityOperatorsDirectory = './data/community-operators';
+const communityOperatorsRepository =
+  process.env.COMMUNITY_REPO || 'https://github.com/operator-framework/community-operators.git';
+const communityOperatorsRef = process.env.COMMUNITY_REF || 'master';
+const communityOperatorsDepth = process.env.COMMUNITY_DEPTH ? +process.env.COMMUNITY_DEPTH : undefined;
+
+// Operator authors preview a local package directory, merged over the catalog or, with PREVIEW_MODE=standalone, alone
+const previewDirectory = process.env.PREVIEW_DIR;
+const previewStandalone = process.env.PREVIEW_MODE === 'standalone';
+
+const catalogSourceName = process.env.CATALOG_SOURCE_NAME || 'operatorhubio-catalog';
+const catalogSourceNamespace = process.env.CATALOG_SOURCE_NAMESPACE || 'olm';
+const catalogSourceImage =
+  process.env.CATALOG_SOURCE_IMAGE || 'quay.io/operator-framework/upstream-community-operators:latest';
+
+const constants = {
+  serverPort,
+  secureServerPort,
+  useSSL,
+  keysDirectory,
+  mockMode,
+  comingSoon,
+  databasePath,
+  parserWorkers,
+  communityOperatorsDirectory,
+  communityOperatorsRepository,
+  communityOperatorsRef,
+  communityOperatorsDepth,
+  previewDirectory,
+  previewStandalone,
+  catalogSourceName,
+  catalogSourceNamespace,
+  catalogSourceImage
+};
 
 module.exports = constants;
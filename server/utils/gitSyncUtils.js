@@ -0,0 +1,116 @@
+const _ = require('lodash');
+const fs = require('fs');
+const { execFile } = require('child_process');
+
+const REMOTE_NAME = 'origin';
+
+// Catalog diffs can list every file of the repository
+const MAX_OUTPUT_SIZE = 64 * 1024 * 1024;
+
+const fileStatuses = {
+  A: 'added',
+  C: 'copied',
+  D: 'deleted',
+  M: 'modified',
+  R: 'renamed',
+  T: 'modified'
+};
+
+const git = (directory, args) =>
+  new Promise((resolve, reject) => {
+    execFile('git', args, { cwd: directory, maxBuffer: MAX_OUTPUT_SIZE }, (err, stdout, stderr) => {
+      if (err) {
+        reject(new Error(`git ${args[0]} failed: ${_.trim(stderr) || err.message}`));
+        return;
+      }
+      resolve(stdout);
+    });
+  });
+
+const createDirectory = directory =>
+  new Promise((resolve, reject) =>
+    fs.mkdir(directory, { recursive: true }, err => (err && err.code !== 'EEXIST' ? reject(err) : resolve()))
+  );
+
+// An unborn HEAD, as in a repository which was just initialized, has no SHA
+const getHeadSha = directory =>
+  git(directory, ['rev-parse', '--verify', '--quiet', 'HEAD^{commit}']).then(_.trim, () => null);
+
+const setRemote = (directory, remote) =>
+  git(directory, ['remote', 'get-url', REMOTE_NAME]).then(
+    url => (_.trim(url) === remote ? null : git(directory, ['remote', 'set-url', REMOTE_NAME, remote])),
+    () => git(directory, ['remote', 'add', REMOTE_NAME, remote])
+  );
+
+/**
+ * Parses NUL separated name-status output, renames and copies are followed by the path they came from
+ */
+const parseNameStatus = output => {
+  const fields = _.split(output, '\0');
+  const changedFiles = [];
+
+  for (let i = 0; i < fields.length - 1; ) {
+    const code = fields[i].charAt(0);
+    const renamed = code === 'R' || code === 'C';
+
+    changedFiles.push(
+      renamed
+        ? { status: fileStatuses[code], file: fields[i + 2], previousFile: fields[i + 1] }
+        : { status: fileStatuses[code] || 'modified', file: fields[i + 1] }
+    );
+    i += renamed ? 3 : 2;
+  }
+  return changedFiles;
+};
+
+const getChangedFiles = (directory, oldSha, newSha) => {
+  if (oldSha === newSha) {
+    return Promise.resolve([]);
+  }
+
+  if (!oldSha) {
+    return git(directory, ['ls-tree', '-r', '-z', '--name-only', newSha]).then(output =>
+      _.map(_.compact(_.split(output, '\0')), file => ({ status: fileStatuses.A, file }))
+    );
+  }
+
+  return git(directory, ['diff', '--name-status', '-z', '-M', oldSha, newSha]).then(parseNameStatus);
+};
+
+/**
+ * Brings a working copy of a repository to a branch, tag or commit of its remote. The directory is initialized when
+ * it is not a repository yet, and fetches are shallow when a depth is given. Local changes to tracked files are
+ * discarded, the working copy is left on a detached HEAD at the fetched commit.
+ *
+ * Resolves the SHAs HEAD was at before and after, null before the first sync, and the files which changed between
+ * them as { status, file, previousFile }, status being added, copied, deleted, modified or renamed.
+ */
+const syncRepository = ({ directory, remote, ref, depth }) => {
+  const depthArgs = depth ? [`--depth=${depth}`] : [];
+
+  return createDirectory(directory)
+    .then(() => git(directory, ['init', '--quiet']))
+    .then(() => setRemote(directory, remote))
+    .then(() => getHeadSha(directory))
+    .then(oldSha =>
+      git(directory, ['fetch', '--quiet', '--no-tags', ...depthArgs, REMOTE_NAME, ref])
+        .then(() => git(directory, ['checkout', '--quiet', '--force', '--detach', 'FETCH_HEAD']))
+        .then(() => getHeadSha(directory))
+        .then(newSha =>
+          getChangedFiles(directory, oldSha, newSha).then(changedFiles => ({
+            remote,
+            ref,
+            oldSha,
+            newSha,
+            updated: oldSha !== newSha,
+            changedFiles
+          }))
+        )
+    );
+};
+
+const gitSyncUtils = {
+  syncRepository
+};
+
+module.exports = gitSyncUtils;
@@ -0,0 +1,119 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const _ = require('lodash');
+const { execFileSync } = require('child_process');
+const { after, before, test } = require('node:test');
+const { syncRepository } = require('./gitSyncUtils');
+
+// A bare repository stands in for the community operators remote, an author repository pushes commits to it
+const testDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'operatorhub-sync-'));
+const remote = `file://${path.join(testDirectory, 'remote.git')}`;
+const authorDirectory = path.join(testDirectory, 'author');
+const directory = path.join(testDirectory, 'community-operators');
+
+const git = (cwd, args) =>
+  execFileSync('git', ['-c', 'user.name=test', '-c', 'user.email=test@example.com', ...args], { cwd })
+    .toString()
+    .trim();
+
+const writeFile = (file, content) => {
+  fs.mkdirSync(path.dirname(path.join(authorDirectory, file)), { recursive: true });
+  fs.writeFileSync(path.join(authorDirectory, file), content);
+};
+
+const commit = message => {
+  git(authorDirectory, ['add', '--all']);
+  git(authorDirectory, ['commit', '--quiet', '--message', message]);
+  git(authorDirectory, ['push', '--quiet', 'origin', 'HEAD:master']);
+  return git(authorDirectory, ['rev-parse', 'HEAD']);
+};
+
+const sync = (ref, depth) => syncRepository({ directory, remote, ref, depth });
+
+const getChangedFiles = result => _.sortBy(result.changedFiles, 'file');
+
+const commits = {};
+
+before(() => {
+  git(testDirectory, ['init', '--quiet', '--bare', 'remote.git']);
+  git(testDirectory, ['init', '--quiet', 'author']);
+  git(authorDirectory, ['remote', 'add', 'origin', remote]);
+
+  writeFile('etcd/etcd.package.yaml', 'packageName: etcd\n');
+  writeFile('etcd/etcdoperator.v0.9.0.clusterserviceversion.yaml', 'version: 0.9.0\n');
+  commits.first = commit('Add etcd');
+  git(authorDirectory, ['tag', 'v1']);
+  git(authorDirectory, ['push', '--quiet', 'origin', 'v1']);
+
+  writeFile('etcd/etcd.package.yaml', 'packageName: etcd\ndefaultChannel: alpha\n');
+  writeFile('etcd/etcdoperator.v0.9.2.clusterserviceversion.yaml', 'version: 0.9.2\n');
+  commits.second = commit('Add etcd 0.9.2');
+});
+
+after(() => fs.rmSync(testDirectory, { recursive: true, force: true }));
+
+test('checks out a tag into a new directory, shallow', () =>
+  sync('v1', 1).then(result => {
+    assert.strictEqual(result.oldSha, null);
+    assert.strictEqual(result.newSha, commits.first);
+    assert.strictEqual(result.updated, true);
+    assert.deepStrictEqual(getChangedFiles(result), [
+      { status: 'added', file: 'etcd/etcd.package.yaml' },
+      { status: 'added', file: 'etcd/etcdoperator.v0.9.0.clusterserviceversion.yaml' }
+    ]);
+    assert.strictEqual(git(directory, ['rev-parse', '--is-shallow-repository']), 'true');
+  }));
+
+test('syncs a branch, reporting the changed files', () =>
+  sync('master').then(result => {
+    assert.strictEqual(result.oldSha, commits.first);
+    assert.strictEqual(result.newSha, commits.second);
+    assert.deepStrictEqual(getChangedFiles(result), [
+      { status: 'modified', file: 'etcd/etcd.package.yaml' },
+      { status: 'added', file: 'etcd/etcdoperator.v0.9.2.clusterserviceversion.yaml' }
+    ]);
+  }));
+
+test('reports nothing when the ref has not moved', () =>
+  sync('master').then(result => {
+    assert.strictEqual(result.oldSha, commits.second);
+    assert.strictEqual(result.newSha, commits.second);
+    assert.strictEqual(result.updated, false);
+    assert.deepStrictEqual(result.changedFiles, []);
+  }));
+
+test('detects renames and deletions', () => {
+  git(authorDirectory, ['mv', 'etcd/etcdoperator.v0.9.0.clusterserviceversion.yaml', 'etcd/0.9.0.csv.yaml']);
+  fs.unlinkSync(path.join(authorDirectory, 'etcd/etcdoperator.v0.9.2.clusterserviceversion.yaml'));
+  commits.third = commit('Move etcd 0.9.0 and remove 0.9.2');
+
+  return sync('master').then(result => {
+    assert.strictEqual(result.newSha, commits.third);
+    assert.deepStrictEqual(getChangedFiles(result), [
+      {
+        status: 'renamed',
+        file: 'etcd/0.9.0.csv.yaml',
+        previousFile: 'etcd/etcdoperator.v0.9.0.clusterserviceversion.yaml'
+      },
+      { status: 'deleted', file: 'etcd/etcdoperator.v0.9.2.clusterserviceversion.yaml' }
+    ]);
+    assert.deepStrictEqual(fs.readdirSync(path.join(directory, 'etcd')).sort(), [
+      '0.9.0.csv.yaml',
+      'etcd.package.yaml'
+    ]);
+  });
+});
+
+test('pins a commit', () =>
+  sync(commits.second, 1).then(result => {
+    assert.strictEqual(result.oldSha, commits.third);
+    assert.strictEqual(result.newSha, commits.second);
+    assert.strictEqual(git(directory, ['rev-parse', 'HEAD']), commits.second);
+  }));
+
+test('rejects a ref the remote does not have', () =>
+  assert
+    .rejects(sync('no-such-branch'), /git fetch failed/)
+    .then(() => assert.strictEqual(git(directory, ['rev-parse', 'HEAD']), commits.second)));
@@ -0,0 +1,306 @@
+const _ = require('lodash');
+const crypto = require('crypto');
+const Jimp = require('jimp');
+const sanitizeHtml = require('sanitize-html');
+
+const SVG_MEDIATYPE = 'image/svg+xml';
+const MIN_ICON_SIZE = 16;
+const MAX_ICON_SIZE = 512;
+
+// Raster icons Jimp can resize
+const resizableMediatypes = [Jimp.MIME_PNG, Jimp.MIME_JPEG, Jimp.MIME_BMP];
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+// Elements drawing static shapes, text, paints and filters, other elements are dropped and only their text is kept
+const svgElements = [
+  'svg',
+  'g',
+  'defs',
+  'symbol',
+  'use',
+  'title',
+  'desc',
+  'path',
+  'rect',
+  'circle',
+  'ellipse',
+  'line',
+  'polyline',
+  'polygon',
+  'text',
+  'tspan',
+  'textPath',
+  'linearGradient',
+  'radialGradient',
+  'stop',
+  'pattern',
+  'clipPath',
+  'mask',
+  'marker',
+  'filter',
+  'feBlend',
+  'feColorMatrix',
+  'feComposite',
+  'feDropShadow',
+  'feFlood',
+  'feGaussianBlur',
+  'feMerge',
+  'feMergeNode',
+  'feMorphology',
+  'feOffset'
+];
+
+const svgAttributes = [
+  'id',
+  'class',
+  'style',
+  'xmlns',
+  'xmlns:xlink',
+  'xml:space',
+  'version',
+  'viewBox',
+  'preserveAspectRatio',
+  'width',
+  'height',
+  'x',
+  'y',
+  'x1',
+  'y1',
+  'x2',
+  'y2',
+  'dx',
+  'dy',
+  'cx',
+  'cy',
+  'r',
+  'rx',
+  'ry',
+  'fx',
+  'fy',
+  'd',
+  'points',
+  'transform',
+  'href',
+  'xlink:href',
+  'offset',
+  'gradientUnits',
+  'gradientTransform',
+  'spreadMethod',
+  'patternUnits',
+  'patternContentUnits',
+  'patternTransform',
+  'clipPathUnits',
+  'maskUnits',
+  'maskContentUnits',
+  'markerUnits',
+  'markerWidth',
+  'markerHeight',
+  'refX',
+  'refY',
+  'orient',
+  'filterUnits',
+  'primitiveUnits',
+  'in',
+  'in2',
+  'result',
+  'mode',
+  'operator',
+  'k1',
+  'k2',
+  'k3',
+  'k4',
+  'type',
+  'values',
+  'stdDeviation',
+  'radius',
+  'textLength',
+  'lengthAdjust',
+  'startOffset'
+];
+
+const colorValue = /^(#[0-9a-f]{3,8}|[a-z]+|rgba?\([\d\s.,%]+\)|url\(#[\w.:-]+\)( [a-z]+)?)$/i;
+const numberValue = /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?(px|pt|pc|mm|cm|in|em|ex|%)?$/i;
+const keywordValue = /^[a-z-]+$/i;
+const referenceValue = /^(none|url\(#[\w.:-]+\))$/i;
+
+const withPatterns = (properties, patterns) => _.zipObject(properties, _.map(properties, () => patterns));
+
+// Styling properties, as presentation attributes and in style attributes
+const svgStyles = Object.assign(
+  withPatterns(['fill', 'stroke', 'stop-color', 'flood-color', 'lighting-color', 'color'], [colorValue]),
+  withPatterns(
+    [
+      'opacity',
+      'fill-opacity',
+      'stroke-opacity',
+      'stop-opacity',
+      'flood-opacity',
+      'stroke-width',
+      'stroke-miterlimit',
+      'stroke-dashoffset',
+      'font-size',
+      'letter-spacing',
+      'word-spacing'
+    ],
+    [numberValue]
+  ),
+  withPatterns(
+    [
+      'fill-rule',
+      'clip-rule',
+      'stroke-linecap',
+      'stroke-linejoin',
+      'display',
+      'visibility',
+      'overflow',
+      'font-style',
+      'font-weight',
+      'font-variant',
+      'text-anchor',
+      'dominant-baseline',
+      'alignment-baseline',
+      'baseline-shift',
+      'color-interpolation-filters',
+      'shape-rendering',
+      'text-rendering',
+      'image-rendering',
+      'isolation',
+      'mix-blend-mode',
+      'enable-background'
+    ],
+    [keywordValue, numberValue]
+  ),
+  withPatterns(['clip-path', 'mask', 'filter', 'marker-start', 'marker-mid', 'marker-end'], [referenceValue]),
+  {
+    'stroke-dasharray': [/^(none|[\d.\s,%px]+)$/i],
+    'font-family': [/^[\w\s,'"-]+$/]
+  }
+);
+
+/**
+ * References can only point to elements of the icon itself, as in href="#path" or fill="url(#gradient)"
+ */
+const isLocalValue = (name, value) =>
+  name === 'href' || name === 'xlink:href'
+    ? _.startsWith(value, '#')
+    : !/\\|url\(/i.test(value.replace(/url\(#[\w.:-]+\)/gi, ''));
+
+// Presentation attributes take the same values as their style properties
+const isAllowedValue = (name, value) =>
+  isLocalValue(name, value) && (!_.has(svgStyles, name) || _.some(svgStyles[name], pattern => pattern.test(value)));
+
+const svgSanitizeOptions = {
+  parser: { xmlMode: true, decodeEntities: true },
+  allowedTags: svgElements,
+  allowedAttributes: { '*': [...svgAttributes, ..._.keys(svgStyles)] },
+  allowedStyles: { '*': svgStyles },
+  allowedSchemes: [],
+  selfClosing: [],
+  nonTextTags: ['script', 'style', 'foreignObject'],
+  transformTags: {
+    '*': (tagName, attribs) => {
+      const localAttribs = _.pickBy(attribs, (value, name) => isAllowedValue(name, value));
+      return {
+        tagName,
+        // The namespaces are fixed, another default namespace would turn the icon into a different document type
+        attribs:
+          tagName === 'svg'
+            ? Object.assign(localAttribs, { xmlns: SVG_NAMESPACE, 'xmlns:xlink': XLINK_NAMESPACE })
+            : localAttribs
+      };
+    }
+  }
+};
+
+/**
+ * Parses an SVG document and keeps its root svg element with the allowed elements and attributes only, so scripts,
+ * event handlers, external references and other active content are dropped. Icons are also served with a restrictive
+ * content security policy, this keeps them safe to inline elsewhere. Returns an empty string when there is no svg.
+ */
+const sanitizeSvg = svg => {
+  const sanitized = sanitizeHtml(svg, svgSanitizeOptions);
+
+  // Text outside of the root, like what is left of a DOCTYPE's internal subset, is dropped
+  const start = sanitized.indexOf('<svg');
+  const end = sanitized.lastIndexOf('</svg>');
+  return start === -1 || end === -1 ? '' : sanitized.slice(start, end + '</svg>'.length);
+};
+
+const getEtag = data =>
+  crypto
+    .createHash('sha1')
+    .update(data)
+    .digest('hex');
+
+/**
+ * Decodes a CSV icon, spec.icon[0], returning null when there is no usable icon
+ */
+const decodeIcon = iconObj => {
+  const mediatype = _.trim(_.get(iconObj, 'mediatype'));
+  const base64data = _.get(iconObj, 'base64data');
+
+  if (!mediatype || !base64data || !_.startsWith(mediatype, 'image/')) {
+    return null;
+  }
+
+  let data = Buffer.from(base64data, 'base64');
+  if (mediatype === SVG_MEDIATYPE) {
+    data = Buffer.from(sanitizeSvg(data.toString('utf8')), 'utf8');
+  }
+
+  if (!data.length) {
+    return null;
+  }
+
+  return { mediatype, data, etag: getEtag(data) };
+};
+
+const decodeIconDataUri = dataUri => {
+  const match = /^data:([^;,]+);base64,(.*)$/.exec(dataUri || '');
+  return match ? decodeIcon({ mediatype: match[1], base64data: match[2] }) : null;
+};
+
+// The ETag is part of the URL, so icons can be cached for as long as the URL is served
+const getIconUrl = (name, icon) => (icon ? `/api/icons/${encodeURIComponent(name)}?v=${icon.etag}` : '');
+
+const isValidIconSize = size => /^\d+$/.test(size) && +size >= MIN_ICON_SIZE && +size <= MAX_ICON_SIZE;
+
+const setSvgSize = (svg, size) =>
+  svg.replace(/<svg\b[^>]*>/i, svgTag => {
+    const tag = svgTag.replace(/\s(width|height)\s*=\s*("[^"]*"|'[^']*')/gi, '');
+    return tag.replace(/^<svg\b/i, `<svg width="${size}" height="${size}"`);
+  });
+
+/**
+ * Scales an icon to fit a size by size square. Icons in formats which can not be resized are resolved as they are.
+ */
+const resizeIcon = (icon, size) => {
+  if (icon.mediatype === SVG_MEDIATYPE) {
+    const data = Buffer.from(setSvgSize(icon.data.toString('utf8'), size), 'utf8');
+    return Promise.resolve({ mediatype: icon.mediatype, data, etag: `${icon.etag}-${size}` });
+  }
+
+  if (!resizableMediatypes.includes(icon.mediatype)) {
+    return Promise.resolve(icon);
+  }
+
+  return Jimp.read(icon.data)
+    .then(image => image.scaleToFit(size, size).getBufferAsync(icon.mediatype))
+    .then(data => ({ mediatype: icon.mediatype, data, etag: `${icon.etag}-${size}` }));
+};
+
+const iconUtils = {
+  SVG_MEDIATYPE,
+  MIN_ICON_SIZE,
+  MAX_ICON_SIZE,
+  sanitizeSvg,
+  decodeIcon,
+  decodeIconDataUri,
+  getIconUrl,
+  isValidIconSize,
+  resizeIcon
+};
+
+module.exports = iconUtils;
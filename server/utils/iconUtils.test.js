@@ -0,0 +1,86 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { decodeIcon, resizeIcon, sanitizeSvg } = require('./iconUtils');
+
+const svgOpen = '<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink">';
+
+const assertInactive = sanitized => {
+  assert.doesNotMatch(sanitized, /<script|\son\w+\s*=|javascript:|url\((?!#)/i);
+  assert.strictEqual(sanitized.indexOf('<svg'), 0);
+};
+
+test('drops event handlers of a self-closing svg written without a space', () => {
+  const sanitized = sanitizeSvg('<svg/onload=alert(1)>');
+
+  assertInactive(sanitized);
+  assert.strictEqual(sanitized, `${svgOpen}</svg>`);
+});
+
+test('drops nested scripts, leaving their remains as text', () => {
+  const sanitized = sanitizeSvg(`${svgOpen}<scr<script>x</script>ipt>alert(1)</script><path d="M0 0h1"/></svg>`);
+
+  assertInactive(sanitized);
+  assert.match(sanitized, /<path d="M0 0h1"><\/path><\/svg>$/);
+});
+
+test('drops entity encoded javascript: references', () => {
+  const sanitized = sanitizeSvg(
+    `${svgOpen}<a href="&#106;avascript:alert(1)"><use xlink:href="&#x6A;ava&#x73;cript:alert(1)"/></a>` +
+      '<use href="&#35;shape"/></svg>'
+  );
+
+  assertInactive(sanitized);
+  assert.match(sanitized, /<use><\/use><use href="#shape"><\/use>/);
+});
+
+test('drops external url() references in styles and presentation attributes', () => {
+  const sanitized = sanitizeSvg(
+    `${svgOpen}<rect style="fill: url(https://example.com/paint.svg#p)" width="10"/>` +
+      '<rect style="stroke: u\\72l(https://example.com/)" fill="url(https://example.com/)" height="10"/>' +
+      '<rect style="fill: url(#gradient); stroke: #fff; position: fixed" clip-path="url(#clip)"/></svg>'
+  );
+
+  assertInactive(sanitized);
+  assert.match(sanitized, /<rect width="10"><\/rect><rect height="10"><\/rect>/);
+  assert.match(sanitized, /<rect style="fill:url\(#gradient\);stroke:#fff" clip-path="url\(#clip\)"><\/rect>/);
+});
+
+test('keeps the drawing of an icon', () => {
+  const sanitized = sanitizeSvg(
+    '<?xml version="1.0" encoding="UTF-8"?><!DOCTYPE svg [<!ENTITY ns "http://ns.example.com/">]>' +
+      '<svg viewBox="0 0 10 10"><defs><linearGradient id="g"><stop offset="0" stop-color="#fff"/></linearGradient>' +
+      '<style>rect { fill: url(https://example.com/) }</style></defs>' +
+      '<path fill="url(#g)" fill-rule="evenodd" d="M0 0h10v10z"/><text x="1" y="9">etcd</text></svg>'
+  );
+
+  assert.strictEqual(
+    sanitized,
+    '<svg viewBox="0 0 10 10" xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink"><defs>' +
+      '<linearGradient id="g"><stop offset="0" stop-color="#fff"></stop></linearGradient></defs>' +
+      '<path fill="url(#g)" fill-rule="evenodd" d="M0 0h10v10z"></path><text x="1" y="9">etcd</text></svg>'
+  );
+});
+
+test('finds no icon in an SVG without an svg element', () => {
+  const base64data = Buffer.from('<script>alert(1)</script>').toString('base64');
+
+  assert.strictEqual(sanitizeSvg('<script>alert(1)</script>'), '');
+  assert.strictEqual(decodeIcon({ mediatype: 'image/svg+xml', base64data }), null);
+});
+
+test('resizes an SVG icon by its width and height', () =>
+  resizeIcon(
+    { mediatype: 'image/svg+xml', data: Buffer.from('<svg width="10" viewBox="0 0 10 10"></svg>'), etag: 'e' },
+    32
+  ).then(icon => {
+    assert.strictEqual(icon.data.toString(), '<svg width="32" height="32" viewBox="0 0 10 10"></svg>');
+    assert.strictEqual(icon.etag, 'e-32');
+  }));
+
+test('rejects a raster icon which can not be read', () =>
+  assert.rejects(resizeIcon({ mediatype: 'image/png', data: Buffer.from('not a png'), etag: 'e' }, 32)));
+
+test('resolves icons in other formats as they are', () => {
+  const icon = { mediatype: 'image/gif', data: Buffer.from('GIF89a'), etag: 'e' };
+  return resizeIcon(icon, 32).then(resizedIcon => assert.strictEqual(resizedIcon, icon));
+});
@@ -0,0 +1,70 @@
+const _ = require('lodash');
+const yaml = require('js-yaml');
+const { catalogSourceName, catalogSourceNamespace, catalogSourceImage } = require('./constants');
+
+// Kubernetes namespace names must be DNS-1123 labels
+const validNamespaceRegExp = /^[a-z0-9]([-a-z0-9]*[a-z0-9])?$/;
+
+const isValidNamespace = namespace => _.size(namespace) <= 63 && validNamespaceRegExp.test(namespace);
+
+// Cutting the name to the 63 characters of a label can leave a hyphen at its end
+const getDefaultNamespace = packageName => _.trimEnd(`my-${_.kebabCase(packageName)}`.substring(0, 63), '-');
+
+const getNamespace = namespace => ({
+  apiVersion: 'v1',
+  kind: 'Namespace',
+  metadata: { name: namespace }
+});
+
+const getOperatorGroup = namespace => ({
+  apiVersion: 'operators.coreos.com/v1',
+  kind: 'OperatorGroup',
+  metadata: { name: 'operatorgroup', namespace },
+  spec: { targetNamespaces: [namespace] }
+});
+
+const getCatalogSource = () => ({
+  apiVersion: 'operators.coreos.com/v1alpha1',
+  kind: 'CatalogSource',
+  metadata: { name: catalogSourceName, namespace: catalogSourceNamespace },
+  spec: {
+    sourceType: 'grpc',
+    image: catalogSourceImage,
+    displayName: 'Community Operators',
+    publisher: 'OperatorHub.io'
+  }
+});
+
+const getSubscription = (packageName, channel, namespace) => ({
+  apiVersion: 'operators.coreos.com/v1alpha1',
+  kind: 'Subscription',
+  metadata: { name: `my-${packageName}`, namespace },
+  spec: {
+    channel,
+    name: packageName,
+    source: catalogSourceName,
+    sourceNamespace: catalogSourceNamespace
+  }
+});
+
+/**
+ * Builds the multi-document YAML that subscribes a namespace to an operator package channel
+ */
+const getInstallManifest = ({ packageName, channel, namespace, includeCatalogSource }) => {
+  const resources = [
+    getNamespace(namespace),
+    getOperatorGroup(namespace),
+    includeCatalogSource && getCatalogSource(),
+    getSubscription(packageName, channel, namespace)
+  ];
+
+  return _.map(_.compact(resources), resource => yaml.safeDump(resource)).join('---\n');
+};
+
+const installUtils = {
+  isValidNamespace,
+  getDefaultNamespace,
+  getInstallManifest
+};
+
+module.exports = installUtils;
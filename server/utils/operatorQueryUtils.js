@@ -0,0 +1,198 @@
+const _ = require('lodash');
+const querystring = require('querystring');
+const { validCapabilityLevels } = require('./operatorUtils');
+
+const MAX_LIMIT = 100;
+
+const sortFields = {
+  name: operator => _.toLower(operator.displayName || operator.name),
+  provider: operator => _.toLower(operator.provider),
+  createdAt: operator => operator.createdAt || '',
+  capabilityLevel: operator => validCapabilityLevels.indexOf(operator.capabilityLevel),
+  relevance: (operator, ranks) => ranks[operator.packageName]
+};
+const sortOrders = ['asc', 'desc'];
+
+/**
+ * Named field projections of the operators list. The summary holds what the hub needs to show and filter its tiles.
+ */
+const fieldProjections = {
+  summary: [
+    'name',
+    'packageName',
+    'displayName',
+    'version',
+    'provider',
+    'description',
+    'imgUrl',
+    'capabilityLevel',
+    'stability',
+    'categories',
+    'createdAt',
+    'defaultChannel'
+  ],
+  detail: [
+    'name',
+    'packageName',
+    'displayName',
+    'version',
+    'versionForCompare',
+    'provider',
+    'description',
+    'longDescription',
+    'imgUrl',
+    'capabilityLevel',
+    'stability',
+    'links',
+    'maintainers',
+    'createdAt',
+    'containerImage',
+    'customResourceDefinitions',
+    'almExamples',
+    'replaces',
+    'skips',
+    'skipRange',
+    'categories',
+    'keywords',
+    'normalizationFallbacks',
+    'defaultChannel',
+    'installNamespace'
+  ]
+};
+
+// Express parses repeated and bracketed parameters into arrays and objects
+const singleParams = ['keyword', 'sort', 'order', 'limit', 'offset', 'maintainer', 'crd'];
+const listParams = ['fields', 'provider', 'maturity', 'capabilityLevel', 'category'];
+
+const getMalformedParamError = query => {
+  const singleParam = _.find(singleParams, name => _.has(query, name) && !_.isString(query[name]));
+  if (singleParam) {
+    return `Invalid ${singleParam}: expected a single value`;
+  }
+
+  const listParam = _.find(listParams, name => _.has(query, name) && !_.every(_.castArray(query[name]), _.isString));
+  return listParam ? `Invalid ${listParam}: expected a value or a list of values` : null;
+};
+
+const getListParam = value => _.compact(_.flatMap(_.castArray(value || []), item => _.map(item.split(','), _.trim)));
+
+const isNonNegativeInteger = value => /^\d+$/.test(value);
+
+/**
+ * Parses the list query parameters, returns an error message instead when a parameter is invalid
+ */
+const getOperatorsQuery = query => {
+  const malformedParamError = getMalformedParamError(query);
+  if (malformedParamError) {
+    return { error: malformedParamError };
+  }
+
+  const { keyword, limit, offset } = query;
+  const sort = query.sort || (keyword ? 'relevance' : 'name');
+  const order = query.order || (sort === 'relevance' || sort === 'createdAt' ? 'desc' : 'asc');
+
+  if (!_.has(sortFields, sort) || (sort === 'relevance' && !keyword)) {
+    return { error: `Invalid sort: ${sort}` };
+  }
+  if (!sortOrders.includes(order)) {
+    return { error: `Invalid order: ${order}` };
+  }
+  if (limit !== undefined && (!isNonNegativeInteger(limit) || +limit < 1 || +limit > MAX_LIMIT)) {
+    return { error: `Invalid limit: ${limit}, expected 1 to ${MAX_LIMIT}` };
+  }
+  if (offset !== undefined && !isNonNegativeInteger(offset)) {
+    return { error: `Invalid offset: ${offset}` };
+  }
+
+  // Either a projection name or a list of field names
+  const fieldsParam = getListParam(query.fields);
+  const fields =
+    fieldsParam.length === 1 && _.has(fieldProjections, fieldsParam[0])
+      ? fieldProjections[fieldsParam[0]]
+      : fieldsParam;
+  const unknownFields = _.difference(fields, fieldProjections.detail);
+
+  if (unknownFields.length) {
+    return { error: `Invalid fields: ${unknownFields.join(', ')}` };
+  }
+
+  return {
+    providers: _.map(getListParam(query.provider), _.toLower),
+    maturities: _.map(getListParam(query.maturity), _.toLower),
+    capabilityLevels: _.map(getListParam(query.capabilityLevel), _.toLower),
+    categories: _.map(getListParam(query.category), _.toLower),
+    maintainer: _.trim(query.maintainer) || undefined,
+    crd: _.trim(query.crd) || undefined,
+    keyword,
+    sort,
+    order,
+    limit: limit === undefined ? undefined : +limit,
+    offset: offset === undefined ? 0 : +offset,
+    fields: fields.length ? fields : fieldProjections.summary
+  };
+};
+
+const matchesAny = (values, wanted) =>
+  !wanted.length || _.some(_.castArray(values), value => wanted.includes(_.toLower(value)));
+
+/**
+ * Filters and sorts packaged operators. Search ranks map package names to their keyword search rank, lower is better,
+ * packages without a rank do not match the keyword. Package names, when given, are the only packages matching the
+ * maintainer and crd filters.
+ */
+const queryOperators = (operators, operatorsQuery, searchRanks, packageNames) => {
+  const { providers, maturities, capabilityLevels, categories, keyword, sort, order } = operatorsQuery;
+
+  const filtered = _.filter(
+    operators,
+    operator =>
+      matchesAny(operator.provider, providers) &&
+      matchesAny(operator.stability, maturities) &&
+      matchesAny(operator.capabilityLevel, capabilityLevels) &&
+      matchesAny(operator.categories || [], categories) &&
+      (!keyword || _.has(searchRanks, operator.packageName)) &&
+      (!packageNames || packageNames.includes(operator.packageName))
+  );
+
+  // Relevance ranks are lower for better matches, descending relevance is ascending rank
+  const sortOrder = sort === 'relevance' ? _.find(sortOrders, value => value !== order) : order;
+  return _.orderBy(filtered, [operator => sortFields[sort](operator, searchRanks), 'packageName'], [sortOrder, 'asc']);
+};
+
+const getPageLink = (path, query, offset, limit) =>
+  `${path}?${querystring.stringify(Object.assign({}, query, { offset, limit }))}`;
+
+/**
+ * Pages the sorted operators, all of them when no limit was requested, and projects them to the requested fields
+ */
+const getOperatorsPage = (operators, operatorsQuery, path, query) => {
+  const { offset } = operatorsQuery;
+  const total = operators.length;
+  const limit = operatorsQuery.limit || Math.max(total - offset, 0);
+  const page = operators.slice(offset, offset + limit);
+
+  const hasNext = offset + limit < total;
+  const hasPrev = offset > 0 && limit > 0;
+
+  return {
+    total,
+    offset,
+    limit,
+    count: page.length,
+    links: {
+      next: hasNext ? getPageLink(path, query, offset + limit, limit) : null,
+      prev: hasPrev ? getPageLink(path, query, Math.max(offset - limit, 0), limit) : null
+    },
+    operators: _.map(page, operator => _.pick(operator, operatorsQuery.fields))
+  };
+};
+
+const operatorQueryUtils = {
+  MAX_LIMIT,
+  fieldProjections,
+  getOperatorsQuery,
+  queryOperators,
+  getOperatorsPage
+};
+
+module.exports = operatorQueryUtils;
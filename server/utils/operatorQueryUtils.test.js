@@ -0,0 +1,85 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { MAX_LIMIT, fieldProjections, getOperatorsQuery, getOperatorsPage } = require('./operatorQueryUtils');
+
+const getError = query => getOperatorsQuery(query).error;
+
+test('parses the defaults of an empty query', () => {
+  const operatorsQuery = getOperatorsQuery({});
+
+  assert.strictEqual(operatorsQuery.error, undefined);
+  assert.strictEqual(operatorsQuery.sort, 'name');
+  assert.strictEqual(operatorsQuery.order, 'asc');
+  assert.strictEqual(operatorsQuery.limit, undefined);
+  assert.strictEqual(operatorsQuery.offset, 0);
+});
+
+test('sorts keyword searches by relevance, best match first', () => {
+  const operatorsQuery = getOperatorsQuery({ keyword: 'etcd' });
+
+  assert.strictEqual(operatorsQuery.sort, 'relevance');
+  assert.strictEqual(operatorsQuery.order, 'desc');
+});
+
+test('rejects limits out of range and offsets which are not whole numbers', () => {
+  assert.strictEqual(getError({ limit: '0' }), `Invalid limit: 0, expected 1 to ${MAX_LIMIT}`);
+  assert.strictEqual(
+    getError({ limit: `${MAX_LIMIT + 1}` }),
+    `Invalid limit: ${MAX_LIMIT + 1}, expected 1 to ${MAX_LIMIT}`
+  );
+  assert.strictEqual(getError({ limit: '-1' }), `Invalid limit: -1, expected 1 to ${MAX_LIMIT}`);
+  assert.strictEqual(getError({ limit: '2.5' }), `Invalid limit: 2.5, expected 1 to ${MAX_LIMIT}`);
+  assert.strictEqual(getError({ offset: 'next' }), 'Invalid offset: next');
+  assert.strictEqual(getError({ limit: `${MAX_LIMIT}`, offset: '10' }), undefined);
+});
+
+test('rejects unknown sorts and orders, and relevance without a keyword', () => {
+  assert.strictEqual(getError({ sort: 'popularity' }), 'Invalid sort: popularity');
+  assert.strictEqual(getError({ sort: 'relevance' }), 'Invalid sort: relevance');
+  assert.strictEqual(getError({ sort: 'name', order: 'up' }), 'Invalid order: up');
+  assert.strictEqual(getError({ sort: 'relevance', keyword: 'etcd' }), undefined);
+});
+
+test('rejects unknown fields', () => {
+  assert.strictEqual(getError({ fields: 'name,password' }), 'Invalid fields: password');
+  assert.strictEqual(getError({ fields: ['name', 'secret,token'] }), 'Invalid fields: secret, token');
+});
+
+test('rejects repeated single parameters and bracketed parameters', () => {
+  assert.strictEqual(getError({ limit: ['1', '2'] }), 'Invalid limit: expected a single value');
+  assert.strictEqual(getError({ sort: { name: 'asc' } }), 'Invalid sort: expected a single value');
+  assert.strictEqual(getError({ fields: { name: '1' } }), 'Invalid fields: expected a value or a list of values');
+});
+
+test('projects the summary fields unless other fields are asked for', () => {
+  assert.deepStrictEqual(getOperatorsQuery({}).fields, fieldProjections.summary);
+  assert.deepStrictEqual(getOperatorsQuery({ fields: 'summary' }).fields, fieldProjections.summary);
+  assert.deepStrictEqual(getOperatorsQuery({ fields: 'detail' }).fields, fieldProjections.detail);
+  assert.deepStrictEqual(getOperatorsQuery({ fields: 'name,version' }).fields, ['name', 'version']);
+  assert.deepStrictEqual(getOperatorsQuery({ fields: ['name', 'provider'] }).fields, ['name', 'provider']);
+});
+
+test('keeps only the projected fields of the operators of a page', () => {
+  const operators = [
+    { name: 'etcdoperator.v0.9.4', version: '0.9.4', provider: 'CoreOS', longDescription: 'etcd', secret: 's' },
+    { name: 'prometheusoperator.0.22.2', version: '0.22.2', provider: 'Red Hat', longDescription: 'prometheus' }
+  ];
+  const getPage = query => getOperatorsPage(operators, getOperatorsQuery(query), '/api/operators', query);
+
+  assert.deepStrictEqual(getPage({}).operators, [
+    { name: 'etcdoperator.v0.9.4', version: '0.9.4', provider: 'CoreOS' },
+    { name: 'prometheusoperator.0.22.2', version: '0.22.2', provider: 'Red Hat' }
+  ]);
+  assert.deepStrictEqual(getPage({ fields: 'detail' }).operators, [
+    { name: 'etcdoperator.v0.9.4', version: '0.9.4', provider: 'CoreOS', longDescription: 'etcd' },
+    { name: 'prometheusoperator.0.22.2', version: '0.22.2', provider: 'Red Hat', longDescription: 'prometheus' }
+  ]);
+  assert.deepStrictEqual(getPage({ fields: 'name', limit: '1' }), {
+    total: 2,
+    offset: 0,
+    limit: 1,
+    count: 1,
+    links: { next: '/api/operators?fields=name&limit=1&offset=1', prev: null },
+    operators: [{ name: 'etcdoperator.v0.9.4' }]
+  });
+});
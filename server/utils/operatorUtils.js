@@ -1,4 +1,7 @@
 const _ = require('lodash');
+const semver = require('semver');
+const { decodeIcon, getIconUrl } = require('./iconUtils');
+const { getDefaultNamespace } = require('./installUtils');
 
 const normalizeVersion = version => {
   let normVersion = version.replace(/-beta/gi, 'beta');
@@ -7,42 +10,231 @@ const normalizeVersion = version => {
   return normVersion;
 };
 
-const validMaturityStrings = ['Basic Install', 'Seamless Upgrades', 'Full Lifecycle', 'Deep Insights', 'Auto Pilot'];
+const validCapabilityLevels = ['Basic Install', 'Seamless Upgrades', 'Full Lifecycle', 'Deep Insights', 'Auto Pilot'];
 
-const normalizeMaturity = maturity => {
-  if (validMaturityStrings.includes(maturity)) {
-    return maturity;
+// Values allowed for spec.maturity, the stability of the operator's channel
+const validStabilities = ['planning', 'pre-alpha', 'alpha', 'beta', 'stable', 'mature', 'inactive', 'deprecated'];
+
+/**
+ * Capability level comes from the capabilities annotation. Older CSVs put it in spec.maturity instead, and CSVs
+ * with neither are considered Basic Install. Each fallback taken is added to the fallbacks list.
+ */
+const normalizeCapabilityLevel = (capabilities, maturity, fallbacks) => {
+  if (validCapabilityLevels.includes(capabilities)) {
+    return capabilities;
+  }
+
+  const capabilityLevel = validCapabilityLevels.includes(maturity) ? maturity : validCapabilityLevels[0];
+  fallbacks.push({
+    field: 'capabilityLevel',
+    value: capabilities,
+    fallback: capabilityLevel,
+    reason: capabilities ? 'Unknown capabilities annotation' : 'Missing capabilities annotation'
+  });
+
+  return capabilityLevel;
+};
+
+const normalizeStability = (maturity, fallbacks) => {
+  const stability = _.toLower(_.trim(maturity));
+  if (validStabilities.includes(stability)) {
+    return stability;
+  }
+
+  // Capability levels in spec.maturity are handled as a capability level fallback
+  if (!validCapabilityLevels.includes(maturity)) {
+    fallbacks.push({
+      field: 'stability',
+      value: maturity,
+      fallback: null,
+      reason: maturity ? 'Unknown spec.maturity' : 'Missing spec.maturity'
+    });
+  }
+
+  return null;
+};
+
+const validCategories = [
+  'AI/Machine Learning',
+  'Application Runtime',
+  'Big Data',
+  'Cloud Provider',
+  'Database',
+  'Developer Tools',
+  'Integration & Delivery',
+  'Logging & Tracing',
+  'Monitoring',
+  'Networking',
+  'OpenShift Optional',
+  'Security',
+  'Storage',
+  'Streaming & Messaging'
+];
+
+// Keys are lower case, the categories annotation is free text
+const categoryAliases = {
+  ai: 'AI/Machine Learning',
+  'machine learning': 'AI/Machine Learning',
+  ml: 'AI/Machine Learning',
+  runtime: 'Application Runtime',
+  'application runtimes': 'Application Runtime',
+  bigdata: 'Big Data',
+  cloud: 'Cloud Provider',
+  'cloud providers': 'Cloud Provider',
+  databases: 'Database',
+  'developer tool': 'Developer Tools',
+  'dev tools': 'Developer Tools',
+  'ci/cd': 'Integration & Delivery',
+  'integration and delivery': 'Integration & Delivery',
+  integration: 'Integration & Delivery',
+  logging: 'Logging & Tracing',
+  tracing: 'Logging & Tracing',
+  'logging and tracing': 'Logging & Tracing',
+  metrics: 'Monitoring',
+  network: 'Networking',
+  openshift: 'OpenShift Optional',
+  messaging: 'Streaming & Messaging',
+  streaming: 'Streaming & Messaging',
+  'streaming and messaging': 'Streaming & Messaging'
+};
+
+const normalizeCategory = category => {
+  const lowerCategory = _.toLower(_.trim(category));
+  return (
+    _.find(validCategories, validCategory => validCategory.toLowerCase() === lowerCategory) ||
+    categoryAliases[lowerCategory]
+  );
+};
+
+// Unknown categories are left out, validationUtils reports them
+const normalizeCategories = categories =>
+  _.uniq(_.compact(_.map(_.split(categories || '', ','), category => normalizeCategory(category))));
+
+const normalizeDescriptors = descriptors =>
+  _.map(descriptors, descriptor => ({
+    path: descriptor.path,
+    displayName: descriptor.displayName,
+    description: descriptor.description,
+    xDescriptors: descriptor['x-descriptors']
+  }));
+
+const normalizeCustomResourceDefinitions = crds =>
+  _.map(crds, crd => ({
+    name: crd.name,
+    version: crd.version,
+    kind: crd.kind,
+    displayName: crd.displayName || crd.kind,
+    description: crd.description,
+    specDescriptors: normalizeDescriptors(crd.specDescriptors),
+    statusDescriptors: normalizeDescriptors(crd.statusDescriptors)
+  }));
+
+// Examples which can not be shown are left out, validationUtils reports them
+const normalizeAlmExamples = almExamples => {
+  if (!almExamples) {
+    return [];
+  }
+
+  try {
+    const examples = JSON.parse(almExamples);
+    return _.isArray(examples)
+      ? _.filter(examples, example => _.isPlainObject(example) && example.apiVersion && example.kind)
+      : [];
+  } catch (e) {
+    return [];
   }
-  return validMaturityStrings[0];
 };
 
-const normalizeOperator = operator => {
+const normalizeOperator = (operator, packageName) => {
   const annotations = _.get(operator, 'metadata.annotations', {});
   const spec = _.get(operator, 'spec', {});
-  const iconObj = _.get(spec, 'icon[0]');
+  const icon = decodeIcon(_.get(spec, 'icon[0]'));
+  const normalizationFallbacks = [];
 
   return {
     name: operator.metadata.name,
+    packageName,
     displayName: _.get(spec, 'displayName', operator.metadata.name),
-    imgUrl: iconObj ? `data:${iconObj.mediatype};base64,${iconObj.base64data}` : '',
+    imgUrl: getIconUrl(operator.metadata.name, icon),
+    icon,
     longDescription: _.get(spec, 'description', annotations.description),
     provider: _.get(spec, 'provider.name'),
     version: spec.version,
     versionForCompare: normalizeVersion(spec.version),
-    maturity: normalizeMaturity(spec.maturity || ''),
+    capabilityLevel: normalizeCapabilityLevel(annotations.capabilities, spec.maturity, normalizationFallbacks),
+    stability: normalizeStability(spec.maturity, normalizationFallbacks),
+    normalizationFallbacks,
     links: spec.links,
     maintainers: spec.maintainers,
+    categories: normalizeCategories(annotations.categories),
+    keywords: _.filter(spec.keywords, _.isString),
+    customResourceDefinitions: normalizeCustomResourceDefinitions(_.get(spec, 'customresourcedefinitions.owned')),
+    almExamples: normalizeAlmExamples(annotations['alm-examples']),
+    replaces: spec.replaces,
+    skips: spec.skips || [],
+    skipRange: annotations['olm.skipRange'],
     description: _.get(annotations, 'description'),
     createdAt: annotations.createdAt,
     containerImage: annotations.containerImage
   };
 };
 
-const normalizeOperators = operators => _.map(operators, operator => normalizeOperator(operator));
+const getSemver = version => semver.valid(version) || semver.valid(semver.coerce(version)) || '0.0.0';
+
+const compareVersions = (version1, version2) => semver.compare(getSemver(version1), getSemver(version2));
+
+/**
+ * Groups operator versions under their package, each package holding its versions ordered latest first
+ */
+const getPackagedOperators = (operators, channels) => {
+  const packages = _.groupBy(operators, 'packageName');
+
+  return _.map(packages, (packageOperators, packageName) => {
+    const versions = packageOperators.sort((op1, op2) => compareVersions(op2.version, op1.version));
+    const packageChannels = _.filter(channels, { packageName });
+    const defaultChannel = _.find(packageChannels, 'isDefault');
+
+    return Object.assign({}, versions[0], {
+      packageName,
+      defaultChannel: defaultChannel ? defaultChannel.name : undefined,
+      // The namespace the install manifest subscribes the package in unless told otherwise
+      installNamespace: getDefaultNamespace(packageName),
+      channels: packageChannels,
+      versions
+    });
+  });
+};
+
+// Versions may be given as a version number or as the name of the CSV
+const findVersion = (operators, version) => _.find(operators, op => op.version === version || op.name === version);
+
+const normalizePackage = operatorPackage => {
+  const packageName = _.get(operatorPackage, 'packageName');
+  const defaultChannel = _.get(operatorPackage, 'defaultChannel');
+
+  return _.map(_.get(operatorPackage, 'channels', []), channel => ({
+    packageName,
+    name: channel.name,
+    currentCSV: channel.currentCSV,
+    isDefault: channel.name === defaultChannel
+  }));
+};
+
+const normalizePackages = packages => _.flatMap(packages, operatorPackage => normalizePackage(operatorPackage));
 
 const operatorUtils = {
+  validCapabilityLevels,
+  validStabilities,
+  validCategories,
+  normalizeCategory,
+  normalizeCategories,
   normalizeOperator,
-  normalizeOperators
+  getSemver,
+  compareVersions,
+  getPackagedOperators,
+  findVersion,
+  normalizePackage,
+  normalizePackages
 };
 
 module.exports = operatorUtils;
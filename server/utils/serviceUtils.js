@@ -0,0 +1,17 @@
+/**
+ * Responds to a request that failed for a reason other than the request itself, the cause is only logged
+ */
+const sendServerError = (serverResponse, err, message = 'Internal server error') => {
+  console.error(`ERROR: ${message}`);
+  console.error(err);
+
+  if (!serverResponse.headersSent) {
+    serverResponse.status(500).send(message);
+  }
+};
+
+const serviceUtils = {
+  sendServerError
+};
+
+module.exports = serviceUtils;
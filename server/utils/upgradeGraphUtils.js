@@ -0,0 +1,135 @@
+const _ = require('lodash');
+const semver = require('semver');
+const { getSemver, compareVersions } = require('./operatorUtils');
+
+const REPLACES_EDGE = 'replaces';
+const SKIPS_EDGE = 'skips';
+const SKIP_RANGE_EDGE = 'skipRange';
+
+/**
+ * Channel members are found by following the replaces and skips of the channel head back through the package
+ */
+const getChannelMembers = (channel, operatorsByName) => {
+  const members = [];
+  const pending = [channel.currentCSV];
+
+  while (pending.length) {
+    const name = pending.shift();
+    const operator = operatorsByName[name];
+
+    if (operator && !members.includes(name)) {
+      members.push(name);
+      pending.push(..._.compact([operator.replaces, ...(operator.skips || [])]));
+    }
+  }
+
+  return members;
+};
+
+const getSkipRangeSources = (operator, operators) => {
+  if (!operator.skipRange || !semver.validRange(operator.skipRange)) {
+    return [];
+  }
+
+  return _.filter(
+    operators,
+    source => source.name !== operator.name && semver.satisfies(getSemver(source.version), operator.skipRange)
+  );
+};
+
+const getUpgradeEdges = operators => {
+  const operatorsByName = _.keyBy(operators, 'name');
+
+  const edges = _.flatMap(operators, operator => {
+    const replacesEdges = operator.replaces
+      ? [{ from: operator.replaces, to: operator.name, type: REPLACES_EDGE }]
+      : [];
+    const skipsEdges = _.map(operator.skips, skipped => ({ from: skipped, to: operator.name, type: SKIPS_EDGE }));
+    const skipRangeEdges = _.map(getSkipRangeSources(operator, operators), source => ({
+      from: source.name,
+      to: operator.name,
+      type: SKIP_RANGE_EDGE
+    }));
+
+    return [...replacesEdges, ...skipsEdges, ...skipRangeEdges];
+  });
+
+  // CSVs may replace or skip versions which are no longer published, only keep edges between known CSVs
+  const knownEdges = _.filter(edges, edge => operatorsByName[edge.from] && operatorsByName[edge.to]);
+
+  return _.uniqWith(knownEdges, (edge1, edge2) => edge1.from === edge2.from && edge1.to === edge2.to);
+};
+
+/**
+ * Builds the upgrade graph of a package. Edges point from the installed CSV to the CSV that can be upgraded to.
+ */
+const getUpgradeGraph = (operators, channels) => {
+  const operatorsByName = _.keyBy(operators, 'name');
+  const sortedOperators = [...operators].sort((op1, op2) => compareVersions(op1.version, op2.version));
+
+  const channelMembers = _.reduce(
+    channels,
+    (members, channel) => {
+      members[channel.name] = getChannelMembers(channel, operatorsByName);
+      return members;
+    },
+    {}
+  );
+
+  const nodes = _.map(sortedOperators, operator => ({
+    name: operator.name,
+    version: operator.version,
+    channels: _.filter(_.keys(channelMembers), channelName => channelMembers[channelName].includes(operator.name)),
+    channelHeads: _.map(_.filter(channels, { currentCSV: operator.name }), 'name')
+  }));
+
+  return { nodes, edges: getUpgradeEdges(sortedOperators) };
+};
+
+/**
+ * Finds the shortest sequence of upgrades within a channel, as a list of the CSVs installed along the way.
+ * Returns null when the target CSV can not be reached.
+ */
+const getUpgradePath = (operators, channel, fromName, toName) => {
+  const operatorsByName = _.keyBy(operators, 'name');
+  const members = getChannelMembers(channel, operatorsByName);
+  const channelOperators = _.filter(operators, operator => members.includes(operator.name));
+  const edges = getUpgradeEdges(channelOperators);
+
+  // Breadth first search, each visited CSV remembers the edge it was reached through
+  const reachedBy = { [fromName]: null };
+  const pending = [fromName];
+
+  while (pending.length && !_.has(reachedBy, toName)) {
+    const name = pending.shift();
+
+    _.forEach(_.filter(edges, { from: name }), edge => {
+      if (!_.has(reachedBy, edge.to)) {
+        reachedBy[edge.to] = edge;
+        pending.push(edge.to);
+      }
+    });
+  }
+
+  if (!_.has(reachedBy, toName)) {
+    return null;
+  }
+
+  const path = [];
+  for (let edge = reachedBy[toName]; edge; edge = reachedBy[edge.from]) {
+    path.unshift({ name: edge.to, version: operatorsByName[edge.to].version, via: edge.type });
+  }
+
+  return path;
+};
+
+const upgradeGraphUtils = {
+  REPLACES_EDGE,
+  SKIPS_EDGE,
+  SKIP_RANGE_EDGE,
+  getChannelMembers,
+  getUpgradeGraph,
+  getUpgradePath
+};
+
+module.exports = upgradeGraphUtils;
@@ -0,0 +1,44 @@
+const assert = require('assert');
+const { test } = require('node:test');
+const { getUpgradePath, REPLACES_EDGE, SKIP_RANGE_EDGE, SKIPS_EDGE } = require('./upgradeGraphUtils');
+
+const operators = [
+  { name: 'etcdoperator.v0.9.0', version: '0.9.0' },
+  { name: 'etcdoperator.v0.9.2', version: '0.9.2', replaces: 'etcdoperator.v0.9.0' },
+  { name: 'etcdoperator.v0.9.3', version: '0.9.3', replaces: 'etcdoperator.v0.9.2' },
+  {
+    name: 'etcdoperator.v0.9.4',
+    version: '0.9.4',
+    replaces: 'etcdoperator.v0.9.3',
+    skipRange: '>=0.9.0 <0.9.3'
+  },
+  { name: 'etcdoperator.v0.9.5', version: '0.9.5', replaces: 'etcdoperator.v0.9.4', skips: ['etcdoperator.v0.9.3'] }
+];
+
+const channel = { name: 'alpha', currentCSV: 'etcdoperator.v0.9.5' };
+
+test('hops over the versions a skipRange covers', () => {
+  assert.deepStrictEqual(getUpgradePath(operators, channel, 'etcdoperator.v0.9.0', 'etcdoperator.v0.9.4'), [
+    { name: 'etcdoperator.v0.9.4', version: '0.9.4', via: SKIP_RANGE_EDGE }
+  ]);
+});
+
+test('follows replaces and skips', () => {
+  assert.deepStrictEqual(getUpgradePath(operators, channel, 'etcdoperator.v0.9.3', 'etcdoperator.v0.9.4'), [
+    { name: 'etcdoperator.v0.9.4', version: '0.9.4', via: REPLACES_EDGE }
+  ]);
+  assert.deepStrictEqual(getUpgradePath(operators, channel, 'etcdoperator.v0.9.3', 'etcdoperator.v0.9.5'), [
+    { name: 'etcdoperator.v0.9.5', version: '0.9.5', via: SKIPS_EDGE }
+  ]);
+});
+
+test('finds an empty path to the version already installed', () => {
+  assert.deepStrictEqual(getUpgradePath(operators, channel, 'etcdoperator.v0.9.4', 'etcdoperator.v0.9.4'), []);
+});
+
+test('finds no path to an older version or one outside the channel', () => {
+  assert.strictEqual(getUpgradePath(operators, channel, 'etcdoperator.v0.9.5', 'etcdoperator.v0.9.0'), null);
+
+  const betaChannel = { name: 'beta', currentCSV: 'etcdoperator.v0.9.2' };
+  assert.strictEqual(getUpgradePath(operators, betaChannel, 'etcdoperator.v0.9.0', 'etcdoperator.v0.9.4'), null);
+});
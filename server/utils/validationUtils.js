@@ -0,0 +1,252 @@
+const _ = require('lodash');
+const semver = require('semver');
+const { validCapabilityLevels, validStabilities, normalizeCategory } = require('./operatorUtils');
+
+const ERROR = 'error';
+const WARNING = 'warning';
+
+// The description annotation is the summary on the hub tiles, spec.description the body of the operator page
+const MAX_DESCRIPTION_LENGTH = 135;
+const MIN_LONG_DESCRIPTION_LENGTH = 100;
+
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const urlSchemes = ['http:', 'https:'];
+
+/**
+ * Rules the catalog files are checked against. Files breaking an error rule are left out of the catalog, files
+ * breaking a warning rule are loaded with fallback values.
+ */
+const validationRules = {
+  'yaml-parse': { severity: ERROR, description: 'The file is valid YAML' },
+  'csv-name': { severity: ERROR, description: 'The CSV has a metadata.name' },
+  'csv-version': { severity: ERROR, description: 'The CSV has a spec.version' },
+  'csv-normalize': { severity: ERROR, description: 'The CSV can be read as an operator' },
+  'csv-semver': { severity: WARNING, description: 'spec.version is a semantic version' },
+  'csv-icon': { severity: WARNING, description: 'The CSV has a base64 encoded spec.icon' },
+  'csv-maturity': { severity: WARNING, description: `spec.maturity is one of ${validStabilities.join(', ')}` },
+  'csv-capabilities': {
+    severity: WARNING,
+    description: `The capabilities annotation is one of ${validCapabilityLevels.join(', ')}`
+  },
+  'csv-categories': { severity: WARNING, description: 'The categories annotation only lists known categories' },
+  'csv-alm-examples': { severity: WARNING, description: 'The alm-examples annotation is a JSON list of resources' },
+  'csv-description': {
+    severity: WARNING,
+    description: `The description annotation is a summary of at most ${MAX_DESCRIPTION_LENGTH} characters`
+  },
+  'csv-long-description': {
+    severity: WARNING,
+    description: `spec.description has at least ${MIN_LONG_DESCRIPTION_LENGTH} characters`
+  },
+  'csv-maintainers': { severity: WARNING, description: 'spec.maintainers lists maintainers with a name and email' },
+  'csv-links': { severity: WARNING, description: 'Every link in spec.links has a name and an http or https URL' },
+  'package-name': { severity: ERROR, description: 'The package file has a packageName' },
+  'package-channels': { severity: ERROR, description: 'Every channel of the package has a name and a currentCSV' },
+  'package-default-channel': { severity: WARNING, description: 'The defaultChannel is one of the package channels' }
+};
+
+const getDiagnostic = (file, rule, message) => ({
+  file,
+  severity: validationRules[rule].severity,
+  rule,
+  message
+});
+
+const hasErrors = diagnostics => _.some(diagnostics, { severity: ERROR });
+
+/**
+ * Checks what a CSV needs to be read as an operator at all
+ */
+const validateCsv = (file, csv) => {
+  if (!_.get(csv, 'metadata.name')) {
+    return [getDiagnostic(file, 'csv-name', 'metadata.name is missing')];
+  }
+  if (!_.isString(_.get(csv, 'spec.version'))) {
+    return [getDiagnostic(file, 'csv-version', 'spec.version is missing or not a string')];
+  }
+  return [];
+};
+
+const validateAlmExamples = (file, almExamples) => {
+  if (!almExamples) {
+    return [];
+  }
+
+  let examples;
+  try {
+    examples = JSON.parse(almExamples);
+  } catch (e) {
+    return [getDiagnostic(file, 'csv-alm-examples', `alm-examples is not valid JSON: ${e.message}`)];
+  }
+
+  if (!_.isArray(examples)) {
+    return [getDiagnostic(file, 'csv-alm-examples', 'alm-examples is not a list of resources')];
+  }
+
+  const invalidCount = _.size(
+    _.reject(examples, example => _.isPlainObject(example) && example.apiVersion && example.kind)
+  );
+  return invalidCount
+    ? [
+        getDiagnostic(
+          file,
+          'csv-alm-examples',
+          `${invalidCount} alm-examples have no apiVersion or kind and are left out`
+        )
+      ]
+    : [];
+};
+
+const validateDescriptions = (file, operator) => {
+  const diagnostics = [];
+
+  if (!operator.description) {
+    diagnostics.push(getDiagnostic(file, 'csv-description', 'The description annotation is missing'));
+  } else if (operator.description.length > MAX_DESCRIPTION_LENGTH) {
+    diagnostics.push(
+      getDiagnostic(
+        file,
+        'csv-description',
+        `The description annotation has ${
+          operator.description.length
+        } characters, at most ${MAX_DESCRIPTION_LENGTH} are shown`
+      )
+    );
+  }
+
+  const longDescriptionLength = _.size(_.trim(operator.longDescription));
+  if (longDescriptionLength < MIN_LONG_DESCRIPTION_LENGTH) {
+    diagnostics.push(
+      getDiagnostic(file, 'csv-long-description', `spec.description has only ${longDescriptionLength} characters`)
+    );
+  }
+
+  return diagnostics;
+};
+
+const validateMaintainers = (file, maintainers) => {
+  if (!_.size(maintainers)) {
+    return [getDiagnostic(file, 'csv-maintainers', 'spec.maintainers is missing')];
+  }
+
+  return _.reduce(
+    _.castArray(maintainers),
+    (diagnostics, maintainer) => {
+      const name = _.get(maintainer, 'name');
+      const email = _.get(maintainer, 'email');
+
+      if (!name) {
+        diagnostics.push(getDiagnostic(file, 'csv-maintainers', `Maintainer ${email || ''} has no name`));
+      }
+      if (!emailPattern.test(email || '')) {
+        diagnostics.push(getDiagnostic(file, 'csv-maintainers', `Maintainer ${name || ''} has no valid email`));
+      }
+      return diagnostics;
+    },
+    []
+  );
+};
+
+const getUrlScheme = url => {
+  try {
+    return new URL(url).protocol;
+  } catch (e) {
+    return null;
+  }
+};
+
+const validateLinks = (file, links) =>
+  _.reduce(
+    _.castArray(links || []),
+    (diagnostics, link) => {
+      const name = _.get(link, 'name');
+      const url = _.get(link, 'url');
+
+      if (!name) {
+        diagnostics.push(getDiagnostic(file, 'csv-links', `Link ${url || ''} has no name`));
+      }
+      if (!urlSchemes.includes(getUrlScheme(url))) {
+        diagnostics.push(getDiagnostic(file, 'csv-links', `Link ${name || ''} has no http or https URL: ${url || ''}`));
+      }
+      return diagnostics;
+    },
+    []
+  );
+
+const fallbackRules = {
+  stability: 'csv-maturity',
+  capabilityLevel: 'csv-capabilities'
+};
+
+/**
+ * Checks the operator a CSV was read as, for values which were missing or replaced by fallbacks
+ */
+const validateOperator = (file, csv, operator) => {
+  const annotations = _.get(csv, 'metadata.annotations', {});
+  const diagnostics = [];
+
+  if (!semver.valid(operator.version)) {
+    diagnostics.push(getDiagnostic(file, 'csv-semver', `spec.version ${operator.version} is not a semantic version`));
+  }
+
+  if (!operator.icon) {
+    diagnostics.push(getDiagnostic(file, 'csv-icon', 'spec.icon is missing or has no base64data and mediatype'));
+  }
+
+  _.forEach(operator.normalizationFallbacks, ({ field, value, fallback, reason }) => {
+    if (fallbackRules[field]) {
+      const fallbackMessage = fallback ? `, using ${fallback}` : '';
+      const valueMessage = value ? ` ${value}` : '';
+      diagnostics.push(getDiagnostic(file, fallbackRules[field], `${reason}${valueMessage}${fallbackMessage}`));
+    }
+  });
+
+  const unknownCategories = _.reject(
+    _.compact(_.map(_.split(annotations.categories || '', ','), _.trim)),
+    normalizeCategory
+  );
+  if (unknownCategories.length) {
+    diagnostics.push(getDiagnostic(file, 'csv-categories', `Unknown categories: ${unknownCategories.join(', ')}`));
+  }
+
+  return [
+    ...diagnostics,
+    ...validateAlmExamples(file, annotations['alm-examples']),
+    ...validateDescriptions(file, operator),
+    ...validateMaintainers(file, operator.maintainers),
+    ...validateLinks(file, operator.links)
+  ];
+};
+
+const validatePackage = (file, operatorPackage) => {
+  const channels = _.get(operatorPackage, 'channels');
+  const defaultChannel = _.get(operatorPackage, 'defaultChannel');
+  const diagnostics = [];
+
+  if (!_.get(operatorPackage, 'packageName')) {
+    diagnostics.push(getDiagnostic(file, 'package-name', 'packageName is missing'));
+  }
+
+  if (!_.size(channels) || !_.every(channels, channel => _.get(channel, 'name') && _.get(channel, 'currentCSV'))) {
+    diagnostics.push(getDiagnostic(file, 'package-channels', 'Channels are missing or lack a name or currentCSV'));
+  } else if (defaultChannel && !_.some(channels, { name: defaultChannel })) {
+    diagnostics.push(
+      getDiagnostic(file, 'package-default-channel', `defaultChannel ${defaultChannel} is not one of the channels`)
+    );
+  }
+
+  return diagnostics;
+};
+
+const validationUtils = {
+  ERROR,
+  WARNING,
+  validationRules,
+  getDiagnostic,
+  hasErrors,
+  validateCsv,
+  validateOperator,
+  validatePackage
+};
+
+module.exports = validationUtils;
@@ -0,0 +1,113 @@
+const _ = require('lodash');
+const os = require('os');
+const path = require('path');
+const yaml = require('js-yaml');
+const { parserWorkers } = require('./constants');
+
+let workerThreads = null;
+try {
+  // eslint-disable-next-line global-require
+  workerThreads = require('worker_threads');
+} catch (e) {
+  console.log('Worker threads are not available, catalog files are parsed on the main thread');
+}
+
+const MAX_DEFAULT_WORKERS = 4;
+const workerScript = path.join(__dirname, 'yamlParserWorker.js');
+
+// Leaves a core for the server to keep answering requests while a catalog loads
+const getPoolSize = () =>
+  parserWorkers !== undefined ? parserWorkers : _.clamp(os.cpus().length - 1, 1, MAX_DEFAULT_WORKERS);
+
+const createInProcessParser = () => ({
+  size: 0,
+  parse: content => new Promise(resolve => resolve(yaml.safeLoad(content))),
+  close: () => Promise.resolve()
+});
+
+/**
+ * Creates a pool of worker threads parsing YAML documents, workers are started as documents come in. Parse resolves
+ * the document's data or rejects with its parse error, documents wait in a queue while all workers are busy. Close
+ * terminates the workers once the caller is done. Without worker threads, or a pool size of 0, documents are parsed
+ * on the main thread.
+ */
+const createYamlParserPool = (size = getPoolSize()) => {
+  if (!workerThreads || size < 1) {
+    return createInProcessParser();
+  }
+
+  const queue = [];
+  const idleWorkers = [];
+  let workers = [];
+  let closed = false;
+
+  const dispatch = () => {
+    while (idleWorkers.length && queue.length) {
+      const worker = idleWorkers.pop();
+      worker.task = queue.shift();
+      worker.postMessage(worker.task.content);
+    }
+  };
+
+  const startWorker = () => {
+    const worker = new workerThreads.Worker(workerScript);
+
+    worker.on('message', ({ data, error }) => {
+      const { task } = worker;
+      worker.task = null;
+      idleWorkers.push(worker);
+      dispatch();
+
+      if (error) {
+        task.reject(new Error(error));
+      } else {
+        task.resolve(data);
+      }
+    });
+
+    // A worker which crashed or exited fails its document and is replaced, a crash also emits exit
+    const retireWorker = err => {
+      if (closed || !workers.includes(worker)) {
+        return;
+      }
+      workers = _.without(workers, worker);
+      _.pull(idleWorkers, worker);
+      if (worker.task) {
+        worker.task.reject(err);
+        worker.task = null;
+      }
+      if (queue.length) {
+        startWorker();
+        dispatch();
+      }
+    };
+
+    worker.on('error', retireWorker);
+    worker.on('exit', code => retireWorker(new Error(`The YAML parser worker exited with code ${code}`)));
+
+    workers.push(worker);
+    idleWorkers.push(worker);
+  };
+
+  return {
+    size,
+    parse: content =>
+      new Promise((resolve, reject) => {
+        queue.push({ content, resolve, reject });
+        if (!idleWorkers.length && workers.length < size) {
+          startWorker();
+        }
+        dispatch();
+      }),
+    close: () => {
+      closed = true;
+      return Promise.all(_.map(workers, worker => worker.terminate()));
+    }
+  };
+};
+
+const yamlParserPool = {
+  createYamlParserPool
+};
+
+module.exports = yamlParserPool;
@@ -0,0 +1,11 @@
+const { parentPort } = require('worker_threads');
+const yaml = require('js-yaml');
+
+// Parses one document per message, replying with the data or the parse error message
+parentPort.on('message', content => {
+  try {
+    parentPort.postMessage({ data: yaml.safeLoad(content) });
+  } catch (e) {
+    parentPort.postMessage({ error: e.message });
+  }
+});